@@ -1,21 +1,83 @@
-const {Server, Contract, TransactionBuilder, Address, xdr, Transaction, Memo, Keypair} = require('soroban-client')
-const AssetType = require('./asset-type')
-const {i128ToHiLo, hiLoToI128} = require('./utils/i128-helper')
+const {Server, Contract, TransactionBuilder, Address, xdr, Transaction, Memo, Keypair, StrKey, Account, Operation, assembleTransaction} = require('soroban-client')
+const OracleQuery = require('./query')
+const PriceFormatter = require('./price-formatter')
+const PriceCache = require('./price-cache')
+const SequenceManager = require('./sequence-manager')
+const KeypairSigner = require('./keypair-signer')
+const {SubmitError, TransactionTimeoutError, OfflineModeError, LedgerEntryNotFoundError} = require('./errors')
+const {getSimulationError, getTransactionError} = require('./utils/error-helper')
+const {registerStellarAsset} = require('./utils/stellar-asset-helper')
+const {delay} = require('./utils/async-helper')
+const {decodeEvent, encodeTopicSegment} = require('./utils/event-helper')
+const {
+    buildSorobanData,
+    buildSourceAccountAuth,
+    resourcesToSimulation,
+    roundSimulation,
+    estimateResourceFee,
+    buildFeeBumpTransaction
+} = require('./utils/transaction-helper')
+const {resolvePriceUpdates} = require('./utils/price-update-helper')
+const {diffConfig} = require('./utils/config-helper')
+const {getLatestLedgerCloseTime} = require('./utils/ledger-helper')
+const {
+    normalizeSalt,
+    getDeployedContractId,
+    getWasmLedgerKey,
+    buildUploadWasmOperation,
+    buildCreateContractOperation
+} = require('./utils/deploy-helper')
+const {
+    buildAssetScVal,
+    convertToI128ScVal,
+    parseAdminValue,
+    parseAssetValue,
+    parseNumberValue,
+    parseAssetsValue,
+    parsePriceValue,
+    parsePricesValue,
+    parseI128Value
+} = require('./utils/scval-helper')
 
 /**
- * @typedef {import('soroban-client').Account} Account
+ * @typedef {import('./asset-type')} AssetType
+ * @typedef {import('./signer')} Signer
+ * @typedef {import('./utils/transaction-helper').TxResources} TxResources
+ * @typedef {import('./utils/transaction-helper').FeeRounding} FeeRounding
+ * @typedef {import('./utils/price-stats').PriceStats} PriceStats
+ * @typedef {import('./utils/price-update-helper').PriceUpdates} PriceUpdates
+ * @typedef {import('./utils/config-helper').DesiredConfig} DesiredConfig
+ * @typedef {import('./utils/config-helper').ConfigState} ConfigState
+ * @typedef {import('./utils/config-helper').ConfigConflict} ConfigConflict
  */
 
 /**
+ * Oracle asset. Methods accepting assets also accept XLM, CODE:ISSUER strings or soroban-client Asset objects,
+ * as well as Stellar assets with CODE:ISSUER code. Those are converted to the Stellar Asset Contract address for the client network.
  * @typedef {Object} Asset
  * @property {AssetType} type - Asset type
  * @property {string} code - Asset code
+ * @property {string} [classic] - Classic asset (XLM or CODE:ISSUER) of the Stellar Asset Contract. Set on parsed results if the asset is known
  */
 
 /**
  * @typedef {Object} Price
  * @property {BigInt} price - Price
  * @property {BigInt} timestamp - Timestamp
+ * @property {string} [decimalPrice] - Price as a decimal string. Available for query results if formatPrices client option is set
+ */
+
+/**
+ * @typedef {Object} ClientOptions
+ * @property {number} [decimals] - Contract price decimals. Fetched from the contract on the first use if not set
+ * @property {boolean} [formatPrices] - Add decimal string representation to the prices returned by the query API. Default is false.
+ * @property {import('./rounding-mode')} [rounding] - Rounding mode used by the price formatter
+ * @property {number} [precision] - Max number of decimal places in the formatted prices
+ * @property {(string|import('soroban-client').Asset)[]} [stellarAssets] - Classic assets to resolve from the contract addresses in the parsed results
+ * @property {boolean|import('./price-cache').PriceCacheOptions|PriceCache} [cache] - Cache query API results. Entries expire at the next price update, historical prices never expire
+ * @property {boolean} [manageSequence] - Reserve sequence numbers locally instead of loading the source account for each transaction
+ * @property {string[]} [channels] - Channel account IDs used as transaction sources in rotation. Enables sequence management.
+ * Transactions built with channels must be signed by the channel account as well
  */
 
 /**
@@ -25,6 +87,32 @@ const {i128ToHiLo, hiLoToI128} = require('./utils/i128-helper')
  * @property {number} period - Redeem period in milliseconds
  */
 
+/**
+ * @typedef {Object} DeployOptions
+ * @property {Buffer|Uint8Array} wasm - Oracle contract WASM
+ * @property {string} source - Deployer account ID. Pays for the deployment and signs the config call
+ * @property {(Signer|Keypair)[]} signers - Deployer account signers, or Keypairs with the secret keys
+ * @property {string} network - Stellar network passphrase
+ * @property {string} horizonUrl - Soroban RPC URL
+ * @property {Buffer|Uint8Array|string} [salt] - 32 bytes salt, or hex string. Random by default.
+ * The same deployer and salt always produce the same contract ID
+ * @property {Config} [config] - Configuration applied in a following transaction. The contract is left unconfigured if not set
+ * @property {ClientOptions} [options] - Options of the returned client
+ * @property {TxOptions} [txOptions] - Transaction options. Explicit sequence, resources and offline mode are not supported
+ * @property {SubmitOptions} [submitOptions] - Submit options
+ */
+
+/**
+ * Changes required to reach the desired configuration, with the transactions that apply them
+ * @typedef {Object} ConfigPlan
+ * @property {ConfigState} current - Current contract state
+ * @property {boolean} initialize - Whether the contract must be configured with the config call
+ * @property {Asset[]} addAssets - Assets to register
+ * @property {{from: number|null, to: number}|null} period - Period change. Null if the period doesn't change
+ * @property {ConfigConflict[]} conflicts - Fields that differ but can't be changed by the contract calls
+ * @property {(Transaction|string)[]} transactions - Prepared transactions in the submission order, signed by the admin
+ */
+
 /**
  * @typedef {Object} TxOptions
  * @property {number} fee - Transaction fee in stroops
@@ -33,6 +121,39 @@ const {i128ToHiLo, hiLoToI128} = require('./utils/i128-helper')
  * @property {{min: number | Data, max: number | Date}} timebounds - Transaction timebounds
  * @property {string[]} signers - Transaction signers
  * @property {string} minAccountSequence - Minimum account sequence
+ * @property {string} [sequence] - Current sequence number of the source account. The account isn't loaded from the network if set
+ * @property {TxResources} [resources] - Explicit resource limits, fees and footprint. The transaction isn't simulated if set
+ * @property {FeeRounding} [feeRounding] - Rounding steps for the simulated resources. Ignored if explicit resources are set
+ * @property {boolean} [offline] - Build the transaction without network calls and return base64 XDR envelope.
+ * Requires the sequence, the decimals client option for decimal prices and the assets option for keyed price updates.
+ * Can't be combined with validate. Without explicit resources the transaction must be prepared later with {@link OracleClient#prepare}
+ * @property {boolean} [validate] - Check set_price updates against the contract before building the transaction:
+ * positional prices must match the registered assets count, the timestamp must be aligned to the resolution and newer than the last update
+ * @property {Asset[]} [assets] - Registered assets in the contract order, used to resolve keyed price updates instead of loading them from the contract
+ */
+
+/**
+ * @typedef {Object} SubmitOptions
+ * @property {number} [timeout] - Overall confirmation deadline in milliseconds. Default is 60000.
+ * @property {number} [pollInterval] - Initial delay between status checks in milliseconds. Doubles after each check. Default is 500.
+ * @property {number} [maxPollInterval] - Maximum delay between status checks in milliseconds. Default is 5000.
+ * @property {AbortSignal} [signal] - Signal to cancel waiting for the confirmation
+ * @property {FeeBumpOptions} [feeBump] - Wrap the transaction in fee bump transactions with escalating fees
+ */
+
+/**
+ * Fee bump options. Stellar Core replaces a queued transaction only if the new fee is at least 10 times higher,
+ * so smaller multipliers only help if the previous attempt was dropped from the queue.
+ * Only the inclusion fee is escalated, the resource fee of Soroban transactions is paid once as is.
+ * Responses and errors of the fee bumped submissions have the `hashes` property with all attempted transaction hashes.
+ * @typedef {Object} FeeBumpOptions
+ * @property {string|Signer|Keypair} feeSource - Fee payer account ID, or fee payer signer
+ * @property {(Signer|Keypair)[]} [signers] - Fee payer account signers. Not required if the fee source is a signer
+ * @property {number} [baseFee] - Initial inclusion fee per operation in stroops. Inner transaction inclusion fee rate by default
+ * @property {number} [resourceFee] - Resource fee of the inner transaction in stroops. By default, the inner transaction is assumed to pay the minimum inclusion fee
+ * @property {number} [multiplier] - Fee multiplier applied on each escalation. Default is 10.
+ * @property {number} [maxFee] - Max inclusion fee per operation in stroops. Default is 10000.
+ * @property {number} [interval] - Delay before the next escalation in milliseconds. Default is 10000.
  */
 
 /**
@@ -40,66 +161,140 @@ const {i128ToHiLo, hiLoToI128} = require('./utils/i128-helper')
  */
 
 /**
+ * @typedef {import('./utils/event-helper').OracleEvent} OracleEvent
+ */
+
+/**
+ * @typedef {Object} EventsOptions
+ * @property {number} [startLedger] - First ledger to read events from. Required if the cursor is not set
+ * @property {string} [cursor] - Paging token of the last processed event. Reading resumes after it
+ * @property {(string|xdr.ScVal)[][]} [filters] - Topic filters, e.g. [['price', '*']]. An event matches if its topics match any filter.
+ * Segments are '*' wildcards, symbol strings or contract values. Events are always limited to the oracle contract
+ * @property {number} [limit] - Max number of events per request. Default is 100.
+ */
+
+/**
+ * @typedef {Object} EventsPage
+ * @property {OracleEvent[]} events - Decoded events
+ * @property {string|null} cursor - Cursor to read the next page
+ */
+
+/**
+ * @typedef {Object} AccountSigner
+ * @property {string} key - Signer public key
+ * @property {number} weight - Signer weight
+ */
+
+/**
+ * @typedef {Object} AccountSigners
+ * @property {AccountSigner[]} signers - Account signers, including the master key if its weight is not zero
+ * @property {{low: number, med: number, high: number}} thresholds - Account thresholds
+ */
+
+/**
+ * Contract methods that require the admin authorization
+ */
+const adminMethods = new Set(['config', 'add_assets', 'set_period', 'set_price'])
+
+/**
+ * Simulates the transaction and assembles it with the simulated resources and authorization
+ * @param {OracleClient} client - Oracle client instance
+ * @param {Transaction} transaction - Unprepared transaction
+ * @param {FeeRounding} [feeRounding] - Rounding steps for the simulated resources
+ * @returns {Promise<Transaction>}
+ */
+async function prepareTransaction(client, transaction, feeRounding) {
+    let simulation = await client.server.simulateTransaction(transaction)
+    if (simulation.error)
+        throw getSimulationError(simulation)
+    if (feeRounding)
+        simulation = roundSimulation(simulation, feeRounding)
+    return assembleTransaction(transaction, client.network, simulation)
+}
+
+/**
+ * Builds and prepares the transaction. Transactions built by different nodes are byte-identical
+ * if the sequence, fee, timeout and explicit resources (or fee rounding) are the same
  * @param {OracleClient} client - Oracle client instance
  * @param {string|Account} source - Valid Stellar account ID, or Account object
  * @param {xdr.Operation} operation - Stellar operation
  * @param {TxOptions} options - Transaction options
  * @param {string} network - Stellar network
- * @returns {Promise<Transaction>}
+ * @param {xdr.SorobanTransactionData} [sorobanData] - Initial Soroban data with the footprint, required for the footprint operations
+ * @returns {Promise<Transaction|string>} - Prepared transaction, or base64 XDR envelope in offline mode
  */
-async function buildTransaction(client, source, operation, options, network) {
+async function buildTransaction(client, source, operation, options, network, sorobanData = null) {
+    const {sequence, resources, feeRounding, offline, ...txOptions} = options
     let sourceAccount = source
+    let reservedSequence = null
 
-    if (typeof source !== 'object')
-        sourceAccount = await client.server.getAccount(source)
-
-    const txBuilderOptions = structuredClone(options)
-    txBuilderOptions.memo = options.memo ? Memo.text(options.memo) : null
-    txBuilderOptions.networkPassphrase = network
+    if (typeof source !== 'object') {
+        if (sequence !== undefined)
+            sourceAccount = new Account(source, sequence.toString())
+        else if (offline)
+            throw new OfflineModeError('Sequence is required to build the transaction offline')
+        else if (client.sequences) {
+            const channel = client.sequences.nextChannel()
+            if (channel) //channel pays the fee and provides the sequence, the operation is executed on behalf of the source
+                operation = new xdr.Operation({sourceAccount: Keypair.fromPublicKey(source).xdrMuxedAccount(), body: operation.body()})
+            sourceAccount = await client.sequences.reserve(channel || source)
+            reservedSequence = BigInt(sourceAccount.sequenceNumber()) + 1n
+        } else
+            sourceAccount = await client.server.getAccount(source)
+    }
 
-    const transaction = new TransactionBuilder(sourceAccount, txBuilderOptions)
-        .addOperation(operation)
-        .setTimeout(options.timeout || 0)
-        .build()
+    try {
+        const txBuilderOptions = structuredClone(txOptions)
+        txBuilderOptions.memo = options.memo ? Memo.text(options.memo) : null
+        txBuilderOptions.networkPassphrase = network
 
-    return await client.server.prepareTransaction(transaction, client.network)
-}
+        const builder = new TransactionBuilder(sourceAccount, txBuilderOptions)
+            .addOperation(operation)
+            .setTimeout(options.timeout || 0)
+        if (sorobanData)
+            builder.setSorobanData(sorobanData)
+        const transaction = builder.build()
 
-function getAccountId(source) {
-    if (typeof source === 'object') {
-        return source.accountId()
+        if (resources) {
+            const defaultAuth = isAdminCall(operation) ? [buildSourceAccountAuth(operation)] : []
+            const prepared = assembleTransaction(transaction, network, resourcesToSimulation(resources, defaultAuth))
+            return offline ? prepared.toXDR() : prepared
+        }
+        if (offline)
+            return transaction.toXDR() //prepared later with OracleClient.prepare
+        return await prepareTransaction(client, transaction, feeRounding)
+    } catch (e) {
+        if (reservedSequence !== null)
+            client.sequences.release(sourceAccount.accountId(), reservedSequence)
+        throw e
     }
-    return source
 }
 
 /**
- * @param {Asset} asset - Asset object
- * @returns {xdr.ScVal}
+ * @param {xdr.Operation} operation - Stellar operation
+ * @returns {boolean} - Whether the operation invokes an admin method of the contract
  */
-function buildAssetScVal(asset) {
-    switch (asset.type) {
-        case AssetType.Stellar:
-            return xdr.ScVal.scvVec([xdr.ScVal.scvSymbol('Stellar'), new Address(asset.code).toScVal()])
-        case AssetType.Generic:
-            return xdr.ScVal.scvVec([xdr.ScVal.scvSymbol('Generic'), xdr.ScVal.scvSymbol(asset.code)])
-        default:
-            throw new Error('Invalid asset type')
-    }
+function isAdminCall(operation) {
+    if (operation.body().switch().name !== 'invokeHostFunction')
+        return false
+    const hostFunction = operation.body().invokeHostFunctionOp().hostFunction()
+    return hostFunction.switch().name === 'hostFunctionTypeInvokeContract'
+        && adminMethods.has(hostFunction.invokeContract()[1].sym().toString())
 }
 
 /**
- *
- * @param {BigInt} value - i128 value
- * @returns {xdr.ScVal}
+ * @param {Signer|Keypair} signer - Signer, or Keypair with the secret key
+ * @returns {Signer}
  */
-function convertToI128ScVal(value) {
-    const {hi, lo} = value ? i128ToHiLo(value) : {hi: '0', lo: '0'}
-    return xdr.ScVal.scvI128(
-        new xdr.Int128Parts({
-            hi: xdr.Int64.fromString(hi),
-            lo: xdr.Uint64.fromString(lo)
-        })
-    )
+function toSigner(signer) {
+    return signer instanceof Keypair ? new KeypairSigner(signer) : signer
+}
+
+function getAccountId(source) {
+    if (typeof source === 'object') {
+        return source.accountId()
+    }
+    return source
 }
 
 /**
@@ -113,33 +308,6 @@ function getSorobanResultValue(result) {
     return value
 }
 
-/**
- * @param {any} xdrAsset - XDR asset
- * @returns {Asset}
- */
-function parseXdrAssetResult(xdrAsset) {
-    const assetType = xdrAsset[0].value().toString()
-    switch (AssetType[assetType]) {
-        case AssetType.Generic:
-            return {type: AssetType.Generic, code: xdrAsset[1].value().toString()}
-        case AssetType.Stellar:
-            return {type: AssetType.Stellar, code: Address.contract(xdrAsset[1].value().value()).toString()}
-        default:
-            throw new Error(`Unknown asset type: ${assetType}`)
-    }
-}
-
-/**
- * @param {any} xdrPrice - XDR price object
- * @returns {{price: BigInt, timestamp: BigInt}}
- */
-function parseXdrPriceResult(xdrPrice) {
-    return {
-        price: hiLoToI128(xdrPrice[0].val().value().hi(), xdrPrice[0].val().value().lo()),
-        timestamp: BigInt(xdrPrice[1].val().value())
-    }
-}
-
 class OracleClient {
 
     /**
@@ -172,12 +340,121 @@ class OracleClient {
      */
     server
 
-    constructor(network, horizonUrl, contractId) {
+    /**
+     * @type {OracleQuery}
+     * @description Read-only API that simulates contract calls instead of building transactions
+     */
+    query
+
+    /**
+     * @type {ClientOptions}
+     * @description Client options
+     */
+    options
+
+    /**
+     * @type {Promise<PriceFormatter>}
+     * @description Price formatter bound to the contract decimals
+     */
+    priceFormatterPromise = null
+
+    /**
+     * @type {Promise<Asset[]>}
+     * @description Registered assets in the contract order. Null until the first use and after the reset
+     */
+    assetsPromise = null
+
+    /**
+     * @type {PriceCache|null}
+     * @description Query results cache. Null if caching is disabled
+     */
+    cache = null
+
+    /**
+     * @type {SequenceManager|null}
+     * @description Local sequence manager. Null if sequence management is disabled
+     */
+    sequences = null
+
+    /**
+     * @param {string} network - Stellar network passphrase
+     * @param {string} horizonUrl - Soroban RPC URL
+     * @param {string} contractId - Valid Stellar contract ID
+     * @param {ClientOptions} [options] - Client options
+     */
+    constructor(network, horizonUrl, contractId, options = {}) {
         this.contractId = contractId
         this.contract = new Contract(contractId)
         this.network = network
         this.horizonUrl = horizonUrl
         this.server = new Server(horizonUrl, {allowHttp: true})
+        this.query = new OracleQuery(this)
+        this.options = options
+        if (options.cache)
+            this.cache = options.cache instanceof PriceCache
+                ? options.cache
+                : new PriceCache(options.cache === true ? {} : options.cache)
+        if (options.manageSequence || options.channels?.length)
+            this.sequences = new SequenceManager(this, options.channels)
+        for (const asset of options.stellarAssets || [])
+            registerStellarAsset(asset, network)
+    }
+
+    /**
+     * Uploads the oracle WASM unless it's already on the ledger, creates a contract instance and optionally configures it.
+     * Each transaction is submitted after the previous one is applied
+     * @param {DeployOptions} deployOptions - Deployment options
+     * @returns {Promise<OracleClient>} - Client bound to the new contract
+     */
+    static async deploy({wasm, source, signers, network, horizonUrl, salt, config, options = {}, txOptions = {fee: 100}, submitOptions = {}}) {
+        wasm = Buffer.from(wasm)
+        salt = normalizeSalt(salt)
+        const client = new OracleClient(network, horizonUrl, getDeployedContractId(network, source, salt), options)
+
+        const wasmKey = getWasmLedgerKey(wasm)
+        const {entries} = await client.server.getLedgerEntries([wasmKey])
+        if (!entries?.length) {
+            const upload = await buildTransaction(client, source, buildUploadWasmOperation(wasm), txOptions, network)
+            await client.signAndSubmit(upload, signers, submitOptions)
+        }
+
+        const createOperation = buildCreateContractOperation(source, wasmKey.contractCode().hash(), salt)
+        const create = await buildTransaction(client, source, createOperation, txOptions, network)
+        await client.signAndSubmit(create, signers, submitOptions)
+
+        if (config) {
+            const configTransaction = await client.config(source, config, txOptions)
+            await client.signAndSubmit(configTransaction, signers, submitOptions)
+        }
+        return client
+    }
+
+    /**
+     * Returns price formatter for the contract decimals. Decimals are fetched once and cached
+     * @returns {Promise<PriceFormatter>}
+     */
+    async getPriceFormatter() {
+        if (!this.priceFormatterPromise) {
+            const {decimals, rounding, precision} = this.options
+            this.priceFormatterPromise = (decimals !== undefined ? Promise.resolve(decimals) : this.query.decimals())
+                .then(d => new PriceFormatter(d, {rounding, precision}))
+            this.priceFormatterPromise.catch(() => this.priceFormatterPromise = null) //allow retry on the next call
+        }
+        return await this.priceFormatterPromise
+    }
+
+    /**
+     * Returns registered assets in the contract order. The list is fetched once and reloaded on demand, whether
+     * the query cache is enabled or not. The contract only appends new assets, so the positions of the known ones never change
+     * @param {boolean} [refresh] - Reload the list from the contract
+     * @returns {Promise<Asset[]>}
+     */
+    async getAssets(refresh = false) {
+        if (!this.assetsPromise || refresh) {
+            this.assetsPromise = this.query.assets(refresh)
+            this.assetsPromise.catch(() => this.assetsPromise = null) //allow retry on the next call
+        }
+        return await this.assetsPromise
     }
 
     /**
@@ -185,14 +462,14 @@ class OracleClient {
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {Config} config - Configuration object
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async config(source, config, options = {fee: 100}) {
         const configScVal = xdr.ScVal.scvMap([
             new xdr.ScMapEntry({key: xdr.ScVal.scvSymbol('admin'), val: new Address(config.admin).toScVal()}),
             new xdr.ScMapEntry({
                 key: xdr.ScVal.scvSymbol('assets'),
-                val: xdr.ScVal.scvVec(config.assets.map(asset => buildAssetScVal(asset)))
+                val: xdr.ScVal.scvVec(config.assets.map(asset => buildAssetScVal(asset, this.network)))
             }),
             new xdr.ScMapEntry({
                 key: xdr.ScVal.scvSymbol('period'),
@@ -213,7 +490,7 @@ class OracleClient {
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {Asset[]} assets - Array of assets
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async addAssets(source, assets, options = {fee: 100}) {
         return await buildTransaction(this,
@@ -221,7 +498,7 @@ class OracleClient {
             this.contract.call(
                 'add_assets',
                 new Address(getAccountId(source)).toScVal(),
-                xdr.ScVal.scvVec(assets.map(asset => buildAssetScVal(asset)))
+                xdr.ScVal.scvVec(assets.map(asset => buildAssetScVal(asset, this.network)))
             ),
             options,
             this.network
@@ -233,7 +510,7 @@ class OracleClient {
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {number} period - Redeem period in milliseconds
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async setPeriod(source, period, options = {fee: 100}) {
         return await buildTransaction(this,
@@ -248,15 +525,118 @@ class OracleClient {
         )
     }
 
+    /**
+     * Returns ledger keys of the contract instance and code. Both must not expire for the contract to stay callable
+     * @returns {Promise<xdr.LedgerKey[]>}
+     */
+    async getContractLedgerKeys() {
+        const instanceKey = this.contract.getFootprint()
+        const {entries} = await this.server.getLedgerEntries([instanceKey])
+        if (!entries?.length)
+            throw new LedgerEntryNotFoundError('Contract', this.contractId)
+        const executable = xdr.LedgerEntryData.fromXDR(entries[0].xdr, 'base64').contractData().body().data().val().instance().executable()
+        const codeKey = xdr.LedgerKey.contractCode(new xdr.LedgerKeyContractCode({
+            hash: executable.wasmHash(),
+            bodyType: xdr.ContractEntryBodyType.dataEntry()
+        }))
+        return [instanceKey, codeKey]
+    }
+
+    /**
+     * Builds a transaction to bump the expiration (TTL) of the contract instance and code. Doesn't require the admin authorization.
+     * The ledger keys are loaded from the network, so the transaction can't be built offline without explicit resources
+     * @param {string|Account} source - Valid Stellar account ID, or Account object
+     * @param {number} ledgersToExpire - Number of ledgers after the last closed ledger to keep the entries for
+     * @param {TxOptions} options - Transaction options
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
+     */
+    async bumpExpiration(source, ledgersToExpire, options = {fee: 100}) {
+        const sorobanData = options.resources
+            ? null
+            : buildSorobanData({footprint: {readOnly: await this.getContractLedgerKeys()}, instructions: 0, readBytes: 0, writeBytes: 0})
+        return await buildTransaction(
+            this,
+            source,
+            Operation.bumpFootprintExpiration({ledgersToExpire}),
+            options,
+            this.network,
+            sorobanData
+        )
+    }
+
+    /**
+     * Reads the current contract configuration
+     * @returns {Promise<ConfigState>}
+     */
+    async getConfigState() {
+        const [admin, assets, period, base, decimals, resolution] = await Promise.all([
+            this.query.admin(),
+            this.getAssets(true),
+            this.query.period(),
+            this.query.base(),
+            this.query.decimals(),
+            this.query.resolution()
+        ])
+        return {admin, assets: assets || [], period, base, decimals, resolution}
+    }
+
+    /**
+     * Compares the current configuration with the desired one and builds the transactions to reach it.
+     * Transactions are built for the admin account with consecutive sequence numbers and must be submitted in order
+     * @param {DesiredConfig} desired - Desired configuration
+     * @param {TxOptions} [options] - Transaction options
+     * @returns {Promise<ConfigPlan>}
+     */
+    async planConfig(desired, options = {fee: 100}) {
+        const current = await this.getConfigState()
+        const diff = diffConfig(current, desired, this.network)
+        const transactions = []
+        if (diff.initialize || diff.addAssets.length || diff.period) {
+            const {sequence, ...txOptions} = options
+            const admin = current.admin || desired.admin
+            let source = admin //the sequence manager reserves consecutive numbers itself
+            if (!this.sequences) //the builder increments the account sequence, so the transactions get consecutive numbers
+                source = sequence !== undefined ? new Account(admin, sequence.toString()) : await this.server.getAccount(admin)
+            if (diff.initialize)
+                transactions.push(await this.config(source, {admin: desired.admin, assets: desired.assets, period: desired.period}, txOptions))
+            if (diff.addAssets.length)
+                transactions.push(await this.addAssets(source, diff.addAssets, txOptions))
+            if (diff.period)
+                transactions.push(await this.setPeriod(source, diff.period.to, txOptions))
+        }
+        return {current, ...diff, transactions}
+    }
+
+    /**
+     * Signs and submits the planned transactions one by one, waiting for each to be applied.
+     * Conflicts can't be resolved by the contract calls and are left as is
+     * @param {(Signer|Keypair)[]} signers - Admin account signers, or Keypairs with the secret keys
+     * @param {ConfigPlan} plan - Configuration plan
+     * @param {SubmitOptions} [submitOptions] - Submit options
+     * @returns {Promise<TransactionResponse[]>} Transaction responses in the submission order
+     */
+    async applyConfig(signers, plan, submitOptions = {}) {
+        const responses = []
+        for (const transaction of plan.transactions)
+            responses.push(await this.signAndSubmit(transaction, signers, submitOptions))
+        if (plan.addAssets.length || plan.initialize) { //reload the registered assets on the next use
+            this.assetsPromise = null
+            await this.query.invalidate('assets')
+        }
+        return responses
+    }
+
     /**
      * Builds a transaction to set prices
      * @param {string|Account} source - Valid Stellar account ID, or Account object
-     * @param {BigInt[]} updates - Array of prices
+     * @param {PriceUpdates} updates - Prices in the contract assets order, or prices keyed by asset.
+     * Strings are treated as decimal prices, e.g. "1.2345"
      * @param {number} timestamp - Timestamp in milliseconds
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async setPrice(source, updates, timestamp, options = {fee: 100}) {
+        updates = await resolvePriceUpdates(this, updates, timestamp, options)
         const scValPrices = xdr.ScVal.scvVec(updates.map(u => convertToI128ScVal(u)))
         return await buildTransaction(
             this,
@@ -272,11 +652,36 @@ class OracleClient {
         )
     }
 
+    /**
+     * Builds a transaction to set prices, signs it with all signers and submits it
+     * @param {(Signer|Keypair)[]} signers - Signers, or Keypairs with the secret keys
+     * @param {string|Account} source - Valid Stellar account ID, or Account object
+     * @param {PriceUpdates} updates - Prices in the contract assets order, or prices keyed by asset.
+     * Strings are treated as decimal prices, e.g. "1.2345"
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @param {TxOptions} [options] - Transaction options
+     * @param {SubmitOptions} [submitOptions] - Submit options
+     * @returns {Promise<TransactionResponse>} Transaction response
+     */
+    async setPriceAndSubmit(signers, source, updates, timestamp, options = {fee: 100}, submitOptions = {}) {
+        const transaction = await this.setPrice(source, updates, timestamp, options)
+        try {
+            return await this.signAndSubmit(transaction, signers, submitOptions)
+        } catch (e) {
+            //the sequence manager resyncs account IDs on txBadSeq, so the rebuilt transaction gets the actual sequence.
+            //Account objects are managed by the caller, rebuilding from them would repeat the same sequence
+            if (!(e instanceof SubmitError && e.resultCode === 'txBadSeq' && this.sequences && typeof source === 'string' && options.sequence === undefined))
+                throw e
+            const rebuilt = await this.setPrice(source, updates, timestamp, options)
+            return await this.signAndSubmit(rebuilt, signers, submitOptions)
+        }
+    }
+
     /**
      * Builds a transaction to get admin
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async admin(source, options = {fee: 100}) {
         return await buildTransaction(this, source, this.contract.call('admin'), options, this.network)
@@ -286,7 +691,7 @@ class OracleClient {
      * Builds a transaction to get base asset
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async base(source, options = {fee: 100}) {
         return await buildTransaction(this, source, this.contract.call('base'), options, this.network)
@@ -296,7 +701,7 @@ class OracleClient {
      * Builds a transaction to get decimals
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async decimals(source, options = {fee: 100}) {
         return await buildTransaction(this, source, this.contract.call('decimals'), options, this.network)
@@ -306,7 +711,7 @@ class OracleClient {
      * Builds a transaction to get resolution
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async resolution(source, options = {fee: 100}) {
         return await buildTransaction(this, source, this.contract.call('resolution'), options, this.network)
@@ -316,7 +721,7 @@ class OracleClient {
      * Builds a transaction to get retention period
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async period(source, options = {fee: 100}) {
         return await buildTransaction(this, source, this.contract.call('period'), options, this.network)
@@ -326,7 +731,7 @@ class OracleClient {
      * Builds a transaction to get supported assets
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async assets(source, options = {fee: 100}) {
         return await buildTransaction(this, source, this.contract.call('assets'), options, this.network)
@@ -336,7 +741,7 @@ class OracleClient {
      * Builds a transaction to get last timestamp
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async lastTimestamp(source, options = {fee: 100}) {
         return await buildTransaction(this, source, this.contract.call('last_timestamp'), options, this.network)
@@ -348,7 +753,7 @@ class OracleClient {
      * @param {Asset} asset - Asset to get price for
      * @param {number} timestamp - Timestamp in milliseconds
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async price(source, asset, timestamp, options = {fee: 100}) {
         return await buildTransaction(
@@ -356,7 +761,7 @@ class OracleClient {
             source,
             this.contract.call(
                 'price',
-                buildAssetScVal(asset),
+                buildAssetScVal(asset, this.network),
                 xdr.ScVal.scvU64(xdr.Uint64.fromString(timestamp.toString()))
             ),
             options,
@@ -371,7 +776,7 @@ class OracleClient {
      * @param {Asset} quoteAsset - Quote asset
      * @param {number} timestamp - Timestamp in milliseconds
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async xPrice(source, baseAsset, quoteAsset, timestamp, options = {fee: 100}) {
         return await buildTransaction(
@@ -379,8 +784,8 @@ class OracleClient {
             source,
             this.contract.call(
                 'x_price',
-                buildAssetScVal(baseAsset),
-                buildAssetScVal(quoteAsset),
+                buildAssetScVal(baseAsset, this.network),
+                buildAssetScVal(quoteAsset, this.network),
                 xdr.ScVal.scvU64(xdr.Uint64.fromString(timestamp.toString()))
             ),
             options,
@@ -393,13 +798,13 @@ class OracleClient {
      * @param {string|Account} source - Valid Stellar account ID, or Account object
      * @param {Asset} asset - Asset to get price for
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async lastPrice(source, asset, options = {fee: 100}) {
         return await buildTransaction(
             this,
             source,
-            this.contract.call('lastprice', buildAssetScVal(asset)),
+            this.contract.call('lastprice', buildAssetScVal(asset, this.network)),
             options,
             this.network
         )
@@ -411,7 +816,7 @@ class OracleClient {
      * @param {Asset} baseAsset - Base asset
      * @param {Asset} quoteAsset - Quote asset
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async xLastPrice(source, baseAsset, quoteAsset, options = {fee: 100}) {
         return await buildTransaction(
@@ -419,8 +824,8 @@ class OracleClient {
             source,
             this.contract.call(
                 'x_last_price',
-                buildAssetScVal(baseAsset),
-                buildAssetScVal(quoteAsset)
+                buildAssetScVal(baseAsset, this.network),
+                buildAssetScVal(quoteAsset, this.network)
             ),
             options,
             this.network
@@ -433,7 +838,7 @@ class OracleClient {
      * @param {Asset} asset - Asset to get prices for
      * @param {number} records - Number of records to return
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async prices(source, asset, records, options = {fee: 100}) {
         return await buildTransaction(
@@ -441,7 +846,7 @@ class OracleClient {
             source,
             this.contract.call(
                 'prices',
-                buildAssetScVal(asset),
+                buildAssetScVal(asset, this.network),
                 xdr.ScVal.scvU32(records)
             ),
             options,
@@ -456,7 +861,7 @@ class OracleClient {
      * @param {Asset} quoteAsset - Quote asset
      * @param {number} records - Number of records to return
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async xPrices(source, baseAsset, quoteAsset, records, options = {fee: 100}) {
         return await buildTransaction(
@@ -464,8 +869,8 @@ class OracleClient {
             source,
             this.contract.call(
                 'x_prices',
-                buildAssetScVal(baseAsset),
-                buildAssetScVal(quoteAsset),
+                buildAssetScVal(baseAsset, this.network),
+                buildAssetScVal(quoteAsset, this.network),
                 xdr.ScVal.scvU32(records)
             ),
             options,
@@ -479,7 +884,7 @@ class OracleClient {
      * @param {Asset} asset - Asset to get prices for
      * @param {number} records - Number of records to return
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async twap(source, asset, records, options = {fee: 100}) {
         return await buildTransaction(
@@ -487,7 +892,7 @@ class OracleClient {
             source,
             this.contract.call(
                 'twap',
-                buildAssetScVal(asset),
+                buildAssetScVal(asset, this.network),
                 xdr.ScVal.scvU32(records)
             ),
             options,
@@ -502,7 +907,7 @@ class OracleClient {
      * @param {Asset} quoteAsset - Quote asset
      * @param {number} records - Number of records to return
      * @param {TxOptions} options - Transaction options
-     * @returns {Promise<Transaction>} Prepared transaction
+     * @returns {Promise<Transaction|string>} Prepared transaction, or base64 XDR envelope in offline mode
      */
     async xTwap(source, baseAsset, quoteAsset, records, options = {fee: 100}) {
         return await buildTransaction(
@@ -510,8 +915,8 @@ class OracleClient {
             source,
             this.contract.call(
                 'x_twap',
-                buildAssetScVal(baseAsset),
-                buildAssetScVal(quoteAsset),
+                buildAssetScVal(baseAsset, this.network),
+                buildAssetScVal(quoteAsset, this.network),
                 xdr.ScVal.scvU32(records)
             ),
             options,
@@ -519,33 +924,260 @@ class OracleClient {
         )
     }
 
+    /**
+     * Returns statistics over the last asset price records, e.g. to widen collateral haircuts in volatile markets
+     * @param {Asset} asset - Asset to get statistics for
+     * @param {number} records - Number of records to use
+     * @returns {Promise<PriceStats|null>} - Statistics, or null if there are no records
+     */
+    async stats(asset, records) {
+        return await this.query.stats(asset, records)
+    }
+
+    /**
+     * Returns statistics over the last cross asset price records
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @param {number} records - Number of records to use
+     * @returns {Promise<PriceStats|null>} - Statistics, or null if there are no records
+     */
+    async xStats(baseAsset, quoteAsset, records) {
+        return await this.query.xStats(baseAsset, quoteAsset, records)
+    }
+
+    /**
+     * Simulates the transaction built offline and sets its resources, fees and authorization
+     * @param {Transaction|string} transaction - Unprepared transaction, or base64 XDR envelope
+     * @param {{feeRounding?: FeeRounding}} [options] - Prepare options
+     * @returns {Promise<Transaction>} Prepared transaction
+     */
+    async prepare(transaction, {feeRounding} = {}) {
+        if (typeof transaction === 'string')
+            transaction = new Transaction(transaction, this.network)
+        return await prepareTransaction(this, transaction, feeRounding)
+    }
+
+    /**
+     * Returns the sequence reserved for the transaction that won't be submitted, so the next transaction reuses it.
+     * Does nothing if sequence management is disabled
+     * @param {Transaction|string} transaction - Transaction built by the client, or base64 XDR envelope
+     */
+    discardTransaction(transaction) {
+        if (!this.sequences)
+            return
+        if (typeof transaction === 'string')
+            transaction = new Transaction(transaction, this.network)
+        this.sequences.release(transaction.source, transaction.sequence)
+    }
+
+    /**
+     * Signs the transaction with all signers
+     * @param {Transaction} transaction - Transaction to sign
+     * @param {(Signer|Keypair)[]} signers - Signers, or Keypairs with the secret keys
+     * @returns {Promise<xdr.DecoratedSignature[]>} Signatures in the order of signers
+     */
+    async signTransaction(transaction, signers) {
+        return await Promise.all(signers.map(signer => toSigner(signer).signTransaction(transaction)))
+    }
+
+    /**
+     * Signs the transaction with all signers and submits it. Signers of the channel accounts not used by the transaction are skipped
+     * @param {Transaction|string} transaction - Transaction to submit, or base64 XDR envelope
+     * @param {(Signer|Keypair)[]} signers - Signers, or Keypairs with the secret keys
+     * @param {SubmitOptions} [options] - Submit options
+     * @returns {Promise<TransactionResponse>} Transaction response
+     */
+    async signAndSubmit(transaction, signers, options = {}) {
+        if (typeof transaction === 'string')
+            transaction = new Transaction(transaction, this.network)
+        const channels = this.sequences?.channels || []
+        if (channels.length) { //extra signatures fail the transaction, so only the channel used as the source signs it
+            const publicKeys = await Promise.all(signers.map(signer => toSigner(signer).publicKey()))
+            signers = signers.filter((signer, i) => !channels.includes(publicKeys[i]) || publicKeys[i] === transaction.source)
+        }
+        const signatures = await this.signTransaction(transaction, signers)
+        return await this.submitTransaction(transaction, signatures, options)
+    }
+
     /**
      * @param {Transaction} transaction - Transaction to submit
      * @param {xdr.DecoratedSignature[]} signatures - Signatures
+     * @param {SubmitOptions} options - Submit options
      * @returns {Promise<TransactionResponse>} Transaction response
      */
-    async submitTransaction(transaction, signatures = []) {
+    async submitTransaction(transaction, signatures = [], options = {}) {
         const txXdr = transaction.toXDR() //Get the raw XDR for the transaction to avoid modifying the transaction object
         const tx = new Transaction(txXdr, this.network) //Create a new transaction object from the XDR
         signatures.forEach(signature => tx.addDecoratedSignature(signature))
 
-        const submitResult = await this.server.sendTransaction(tx)
-        if (submitResult.status !== 'PENDING') {
-            throw new Error(`Transaction submit failed: ${submitResult.status}`)
+        options.signal?.throwIfAborted()
+        let submitResult
+        try {
+            if (options.feeBump)
+                return await this.submitWithFeeBump(tx, options)
+            submitResult = await this.server.sendTransaction(tx)
+            if (submitResult.status !== 'PENDING')
+                throw new SubmitError(submitResult.hash, submitResult.status, submitResult.errorResultXdr)
+        } catch (e) {
+            if (e instanceof SubmitError && e.status !== 'DUPLICATE')
+                this.sequences?.resync(tx.source) //rejected transaction doesn't consume the sequence
+            throw e
+        }
+        return await this.waitForTransaction(submitResult.hash, options)
+    }
+
+    /**
+     * Submits the signed transaction wrapped in fee bump transactions, escalating the fee until one of them is applied,
+     * the inner transaction timebounds expire or the timeout is reached
+     * @param {Transaction} transaction - Signed inner transaction
+     * @param {SubmitOptions} options - Submit options
+     * @returns {Promise<TransactionResponse>} Transaction response
+     */
+    async submitWithFeeBump(transaction, options) {
+        const {feeBump, timeout = 60000, pollInterval = 500, maxPollInterval = 5000, signal} = options
+        const {feeSource, signers = [], multiplier = 10, maxFee = 10000, interval = 10000} = feeBump
+        const feeSigners = typeof feeSource === 'string' ? signers : [feeSource, ...signers]
+        const feeSourceId = typeof feeSource === 'string' ? feeSource : await toSigner(feeSource).publicKey()
+        const maxTime = Number(transaction.timeBounds?.maxTime || 0) * 1000
+        const deadline = Math.min(Date.now() + timeout, maxTime || Infinity)
+        const hashes = []
+        const withHashes = (error) => Object.assign(error, {hashes})
+
+        const operations = transaction.operations.length
+        const resourceFee = feeBump.resourceFee ?? estimateResourceFee(transaction)
+        let fee = Math.min(feeBump.baseFee || Math.ceil((Number(transaction.fee) - resourceFee) / operations), maxFee)
+        let escalateAt = 0
+        let wait = pollInterval
+        while (true) {
+            if (fee !== null && Date.now() >= escalateAt) {
+                const feeBumpTx = buildFeeBumpTransaction(feeSourceId, resourceFee + fee * (operations + 1), transaction, this.network)
+                for (const signature of await this.signTransaction(feeBumpTx, feeSigners))
+                    feeBumpTx.addDecoratedSignature(signature)
+                signal?.throwIfAborted()
+                const submitResult = await this.server.sendTransaction(feeBumpTx)
+                if (!hashes.includes(submitResult.hash))
+                    hashes.push(submitResult.hash)
+                if (submitResult.status === 'ERROR') {
+                    const error = new SubmitError(submitResult.hash, submitResult.status, submitResult.errorResultXdr)
+                    if (error.resultCode !== 'txInsufficientFee')
+                        throw withHashes(error)
+                }
+                fee = fee < maxFee ? Math.min(fee * multiplier, maxFee) : null //null - max fee reached, keep waiting
+                escalateAt = Date.now() + interval
+                wait = pollInterval
+            }
+
+            for (const hash of hashes) { //any of the attempts can be applied
+                const response = await this.getTransaction(hash)
+                if (response.status === 'PENDING' || response.status === 'NOT_FOUND')
+                    continue
+                response.hash = hash
+                response.hashes = hashes
+                if (response.status === 'FAILED')
+                    throw withHashes(getTransactionError(hash, response))
+                return response
+            }
+
+            const remaining = deadline - Date.now()
+            if (remaining <= 0)
+                throw withHashes(new TransactionTimeoutError(hashes[hashes.length - 1], timeout))
+            const untilEscalation = fee !== null ? Math.max(escalateAt - Date.now(), 0) : Infinity
+            await delay(Math.min(wait, remaining, untilEscalation), signal)
+            wait = Math.min(wait * 2, maxPollInterval)
         }
-        const hash = submitResult.hash
+    }
+
+    /**
+     * Polls transaction status until it is applied, failed or the deadline is reached
+     * @param {string} hash - Transaction hash
+     * @param {SubmitOptions} options - Confirmation options
+     * @returns {Promise<TransactionResponse>} Transaction response
+     */
+    async waitForTransaction(hash, {timeout = 60000, pollInterval = 500, maxPollInterval = 5000, signal} = {}) {
+        const deadline = Date.now() + timeout
+        let interval = pollInterval
         let response = await this.getTransaction(hash)
-        while (response.status === "PENDING" || response.status === "NOT_FOUND") {
+        while (response.status === 'PENDING' || response.status === 'NOT_FOUND') {
+            const remaining = deadline - Date.now()
+            if (remaining <= 0)
+                throw new TransactionTimeoutError(hash, timeout)
+            await delay(Math.min(interval, remaining), signal)
+            interval = Math.min(interval * 2, maxPollInterval)
             response = await this.getTransaction(hash)
-            await new Promise(resolve => setTimeout(resolve, 500))
         }
 
         response.hash = hash //Add hash to response to avoid return new object
         if (response.status === 'FAILED')
-            throw new Error(`Transaction ${hash} failed`)
+            throw getTransactionError(hash, response)
         return response
     }
 
+    /**
+     * Loads account signers and thresholds
+     * @param {string} accountId - Valid Stellar account ID
+     * @returns {Promise<AccountSigners>}
+     */
+    async getAccountSigners(accountId) {
+        const ledgerKey = xdr.LedgerKey.account(new xdr.LedgerKeyAccount({
+            accountId: Keypair.fromPublicKey(accountId).xdrAccountId()
+        }))
+        const {entries} = await this.server.getLedgerEntries([ledgerKey])
+        if (!entries?.length)
+            throw new LedgerEntryNotFoundError('Account', accountId)
+        const accountEntry = xdr.LedgerEntryData.fromXDR(entries[0].xdr, 'base64').account()
+        const [masterWeight, low, med, high] = accountEntry.thresholds()
+        const signers = accountEntry.signers()
+            .filter(signer => signer.key().switch().name === 'signerKeyTypeEd25519')
+            .map(signer => ({key: StrKey.encodeEd25519PublicKey(signer.key().ed25519()), weight: signer.weight()}))
+        if (masterWeight > 0)
+            signers.unshift({key: accountId, weight: masterWeight})
+        return {signers, thresholds: {low, med, high}}
+    }
+
+    /**
+     * Reads the oracle contract events
+     * @param {EventsOptions} options - Events options
+     * @returns {Promise<EventsPage>}
+     */
+    async getEvents({startLedger, cursor, filters, limit = 100} = {}) {
+        const filter = {type: 'contract', contractIds: [this.contractId]}
+        if (filters?.length)
+            filter.topics = filters.map(topics => topics.map(encodeTopicSegment))
+        const response = await this.server.getEvents({
+            startLedger: cursor ? undefined : startLedger, //RPC server doesn't accept both
+            cursor,
+            filters: [filter],
+            limit
+        })
+        const events = (response.events || []).map(event => decodeEvent(event, this.network))
+        return {events, cursor: events.length ? events[events.length - 1].pagingToken : cursor || null}
+    }
+
+    /**
+     * Reads the oracle contract events continuously. Save the paging token of the last processed event
+     * and pass it as the cursor to resume the stream
+     * @param {EventsOptions & {pollInterval?: number, signal?: AbortSignal}} options - Events options.
+     * Poll interval is the delay in milliseconds before checking for new events once all available events are read, default is 5000.
+     * @returns {AsyncGenerator<OracleEvent>}
+     */
+    async *streamEvents({pollInterval = 5000, signal, ...options} = {}) {
+        const limit = options.limit || 100
+        let {cursor} = options
+        while (!signal?.aborted) {
+            const page = await this.getEvents({...options, cursor, limit})
+            for (const event of page.events)
+                yield event
+            cursor = page.cursor
+            if (page.events.length >= limit)
+                continue
+            try {
+                await delay(pollInterval, signal)
+            } catch (e) {
+                return //stopped
+            }
+        }
+    }
+
     /**
      * @param {string} hash - Transaction hash
      * @returns {Promise<TransactionResponse>} - Transaction response
@@ -554,27 +1186,29 @@ class OracleClient {
         return await this.server.getTransaction(hash)
     }
 
+    /**
+     * Returns close time of the latest ledger known to the RPC server. Throws LedgerCloseTimeError if the server doesn't report it
+     * @returns {Promise<number>} - Close time in milliseconds
+     */
+    async getLedgerCloseTime() {
+        return await getLatestLedgerCloseTime(this.server)
+    }
+
     /**
      * @param {string} result - Trasanction meta XDR
      * @returns {string} - Keypair public key
      */
     static parseAdminResult(result) {
-        const adminBuffer = getSorobanResultValue(result)?.value()?.value()
-        if (adminBuffer === undefined)
-            return null
-        const adminPublicKey = new Keypair({type: 'ed25519', publicKey: adminBuffer})
-        return adminPublicKey.publicKey()
+        return parseAdminValue(getSorobanResultValue(result))
     }
 
     /**
      * @param {string} result - Trasanction meta XDR
+     * @param {string} [network] - Stellar network passphrase. Used to resolve registered classic assets
      * @returns {Asset} - Asset object
      */
-    static parseBaseResult(result) {
-        const val = getSorobanResultValue(result)
-        if (val === undefined)
-            return null
-        return parseXdrAssetResult(val)
+    static parseBaseResult(result, network) {
+        return parseAssetValue(getSorobanResultValue(result), network)
     }
 
     /**
@@ -582,24 +1216,16 @@ class OracleClient {
      * @returns {number} - Number value
      */
     static parseNumberResult(result) {
-        const val = getSorobanResultValue(result)
-        if (val === undefined)
-            return null
-        return Number(val)
+        return parseNumberValue(getSorobanResultValue(result))
     }
 
     /**
      * @param {string} result - Trasanction meta XDR
+     * @param {string} [network] - Stellar network passphrase. Used to resolve registered classic assets
      * @returns {Asset[]} - Array of asset objects
      */
-    static parseAssetsResult(result) {
-        const val = getSorobanResultValue(result)
-        if (val === undefined)
-            return null
-        const assets = []
-        for (const asset of val)
-            assets.push(parseXdrAssetResult(asset.value()))
-        return assets
+    static parseAssetsResult(result, network) {
+        return parseAssetsValue(getSorobanResultValue(result), network)
     }
 
     /**
@@ -607,10 +1233,7 @@ class OracleClient {
      * @returns {Price} - Price object
      */
     static parsePriceResult(result) {
-        const val = getSorobanResultValue(result)
-        if (val === undefined)
-            return null
-        return parseXdrPriceResult(val)
+        return parsePriceValue(getSorobanResultValue(result))
     }
 
     /**
@@ -618,13 +1241,7 @@ class OracleClient {
      * @returns {Price[]} - Array of price objects
      */
     static parsePricesResult(result) {
-        const val = getSorobanResultValue(result)
-        if (val === undefined)
-            return null
-        const prices = []
-        for (const price of val)
-            prices.push(parseXdrPriceResult(price.value()))
-        return prices
+        return parsePricesValue(getSorobanResultValue(result))
     }
 
     /**
@@ -632,10 +1249,7 @@ class OracleClient {
      * @returns {BigInt} - twap value
      */
     static parseTwapResult(result) {
-        const val = getSorobanResultValue(result)
-        if (val === undefined)
-            return null
-        return hiLoToI128(val.hi(), val.lo())
+        return parseI128Value(getSorobanResultValue(result))
     }
 }
 
@@ -0,0 +1,17 @@
+/**
+ * Enum oracle contract error codes
+ * @readonly
+ * @enum {number}
+ */
+const ContractErrorCode = {
+    AlreadyInitialized: 0,
+    Unauthorized: 1,
+    AssetMissing: 2,
+    AssetAlreadyPresented: 3,
+    InvalidConfigVersion: 4,
+    InvalidFeeAsset: 11,
+    InvalidDepositAmount: 12,
+    InsufficientBalance: 13
+}
+
+module.exports = ContractErrorCode
\ No newline at end of file
@@ -0,0 +1,423 @@
+const {xdr} = require('soroban-client')
+const ContractErrorCode = require('./contract-error-code')
+
+/**
+ * @typedef {import('./client').Asset} Asset
+ * @typedef {import('./price-guard').PriceGuardReport} PriceGuardReport
+ */
+
+/**
+ * Base class for all errors thrown by the oracle client
+ */
+class OracleError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = this.constructor.name
+    }
+}
+
+/**
+ * Thrown when the oracle contract call fails with one of the contract error codes
+ */
+class OracleContractError extends OracleError {
+
+    /**
+     * @type {ContractErrorCode}
+     * @description Contract error code
+     */
+    code
+
+    /**
+     * @type {string}
+     * @description Error reason name, e.g. Unauthorized or AssetMissing. Unknown for codes not listed in ContractErrorCode
+     */
+    reason
+
+    /**
+     * @type {string|null}
+     * @description Hash of the failed transaction. Null if the error was raised during the simulation
+     */
+    hash
+
+    /**
+     * @param {number} code - Contract error code
+     * @param {string} [hash] - Failed transaction hash
+     */
+    constructor(code, hash = null) {
+        const reason = Object.keys(ContractErrorCode).find(key => ContractErrorCode[key] === code) || 'Unknown'
+        super(`Oracle contract error #${code} (${reason})${hash ? ` in transaction ${hash}` : ''}`)
+        this.code = code
+        this.reason = reason
+        this.hash = hash
+    }
+}
+
+/**
+ * Thrown when the transaction simulation fails for reasons other than the contract error
+ */
+class SimulationError extends OracleError {
+
+    /**
+     * @type {string}
+     * @description Raw simulation error returned by the server
+     */
+    details
+
+    /**
+     * @param {string} details - Simulation error returned by the server
+     */
+    constructor(details) {
+        super(`Simulation failed: ${details}`)
+        this.details = details
+    }
+}
+
+/**
+ * Thrown when an asset can't be converted to or from its contract representation
+ */
+class AssetEncodingError extends OracleError {
+
+    /**
+     * @type {any}
+     * @description Asset that failed to encode or decode
+     */
+    asset
+
+    /**
+     * @param {string} message - Error message
+     * @param {any} asset - Asset that failed to encode or decode
+     */
+    constructor(message, asset) {
+        super(message)
+        this.asset = asset
+    }
+}
+
+/**
+ * Thrown when a transaction signature is invalid or doesn't belong to the account signers
+ */
+class SignatureError extends OracleError {
+
+    /**
+     * @type {string|null}
+     * @description Public key of the signer, if known
+     */
+    publicKey
+
+    /**
+     * @param {string} message - Error message
+     * @param {string} [publicKey] - Public key of the signer
+     */
+    constructor(message, publicKey = null) {
+        super(message)
+        this.publicKey = publicKey
+    }
+}
+
+/**
+ * Thrown when the locally computed value doesn't match the contract result
+ */
+class PriceVerificationError extends OracleError {
+
+    /**
+     * @type {any}
+     * @description Locally computed value
+     */
+    local
+
+    /**
+     * @type {any}
+     * @description Value returned by the contract
+     */
+    onChain
+
+    /**
+     * @param {string} method - Contract method used for verification
+     * @param {any} local - Locally computed value
+     * @param {any} onChain - Value returned by the contract
+     */
+    constructor(method, local, onChain) {
+        super(`Local ${method} result doesn't match the contract result`)
+        this.local = local
+        this.onChain = onChain
+    }
+}
+
+/**
+ * Thrown when price updates don't match the registered assets, or the prices or timestamp can't be accepted by the contract
+ */
+class PriceUpdateError extends OracleError {
+
+    /**
+     * @type {Asset|null}
+     * @description Asset of the rejected update, if known
+     */
+    asset
+
+    /**
+     * @param {string} message - Error message
+     * @param {Asset} [asset] - Asset of the rejected update
+     */
+    constructor(message, asset = null) {
+        super(message)
+        this.asset = asset
+    }
+}
+
+/**
+ * Thrown when the price guard rejects the updates. The report lists the violations for each asset
+ */
+class PriceGuardError extends OracleError {
+
+    /**
+     * @type {PriceGuardReport}
+     * @description Guard report
+     */
+    report
+
+    /**
+     * @param {PriceGuardReport} report - Guard report
+     */
+    constructor(report) {
+        const rejected = report.assets.filter(check => !check.accepted).length
+        const reasons = [
+            ...report.timestampViolations,
+            ...(rejected ? [`${rejected} asset price${rejected > 1 ? 's' : ''}`] : [])
+        ]
+        super(`Price update rejected by the guard: ${reasons.join(', ')}`)
+        this.report = report
+    }
+}
+
+/**
+ * Thrown when the transaction is applied to the ledger with the failed status
+ */
+class TransactionFailedError extends OracleError {
+
+    /**
+     * @type {string}
+     * @description Transaction hash
+     */
+    hash
+
+    /**
+     * @type {string}
+     * @description Transaction result XDR
+     */
+    resultXdr
+
+    /**
+     * @type {string}
+     * @description Transaction result meta XDR
+     */
+    resultMetaXdr
+
+    /**
+     * @param {string} hash - Transaction hash
+     * @param {string} [resultXdr] - Transaction result XDR
+     * @param {string} [resultMetaXdr] - Transaction result meta XDR
+     */
+    constructor(hash, resultXdr, resultMetaXdr) {
+        super(`Transaction ${hash} failed`)
+        this.hash = hash
+        this.resultXdr = resultXdr
+        this.resultMetaXdr = resultMetaXdr
+    }
+}
+
+/**
+ * Thrown when the RPC server does not accept a transaction for processing
+ */
+class SubmitError extends OracleError {
+
+    /**
+     * @type {string}
+     * @description Transaction hash
+     */
+    hash
+
+    /**
+     * @type {'DUPLICATE'|'TRY_AGAIN_LATER'|'ERROR'}
+     * @description Send transaction status returned by the server
+     */
+    status
+
+    /**
+     * @type {string|null}
+     * @description Transaction result code name, e.g. txBadSeq. Available only for the ERROR status
+     */
+    resultCode
+
+    /**
+     * @type {string}
+     * @description Raw transaction result XDR
+     */
+    errorResultXdr
+
+    /**
+     * @param {string} hash - Transaction hash
+     * @param {string} status - Send transaction status returned by the server
+     * @param {string} [errorResultXdr] - Transaction result XDR returned along with the ERROR status
+     */
+    constructor(hash, status, errorResultXdr) {
+        const resultCode = errorResultXdr ? getTransactionResultCode(errorResultXdr) : null
+        super(formatSubmitErrorMessage(hash, status, resultCode))
+        this.hash = hash
+        this.status = status
+        this.resultCode = resultCode
+        this.errorResultXdr = errorResultXdr
+    }
+}
+
+/**
+ * Thrown when a submitted transaction is not confirmed within the allowed time.
+ * The transaction may still be applied later, use the hash to re-check its status.
+ */
+class TransactionTimeoutError extends OracleError {
+
+    /**
+     * @type {string}
+     * @description Transaction hash
+     */
+    hash
+
+    /**
+     * @type {number}
+     * @description Confirmation timeout in milliseconds
+     */
+    timeout
+
+    /**
+     * @param {string} hash - Transaction hash
+     * @param {number} timeout - Confirmation timeout in milliseconds
+     */
+    constructor(hash, timeout) {
+        super(`Transaction ${hash} was not confirmed within ${timeout} ms`)
+        this.hash = hash
+        this.timeout = timeout
+    }
+}
+
+/**
+ * Thrown when the desired contract configuration can't be applied to the current contract state
+ */
+class ConfigurationError extends OracleError {
+
+    /**
+     * @type {string[]}
+     * @description Configuration fields that are missing or invalid
+     */
+    fields
+
+    /**
+     * @param {string} message - Error message
+     * @param {string[]} [fields] - Configuration fields that are missing or invalid
+     */
+    constructor(message, fields = []) {
+        super(message)
+        this.fields = fields
+    }
+}
+
+/**
+ * Thrown when the operation needs data that can only be loaded from the network, but the client works in offline mode
+ */
+class OfflineModeError extends OracleError {
+}
+
+/**
+ * Thrown when the requested ledger entry, e.g. an account or a contract, doesn't exist on the ledger
+ */
+class LedgerEntryNotFoundError extends OracleError {
+
+    /**
+     * @type {string}
+     * @description Entry type, e.g. Account or Contract
+     */
+    entryType
+
+    /**
+     * @type {string}
+     * @description Account or contract ID
+     */
+    id
+
+    /**
+     * @param {string} entryType - Entry type, e.g. Account or Contract
+     * @param {string} id - Account or contract ID
+     */
+    constructor(entryType, id) {
+        super(`${entryType} not found: ${id}`)
+        this.entryType = entryType
+        this.id = id
+    }
+}
+
+/**
+ * Thrown when the RPC server response doesn't contain a valid latest ledger close time
+ */
+class LedgerCloseTimeError extends OracleError {
+
+    /**
+     * @type {*}
+     * @description Raw latestLedgerCloseTime value from the RPC response
+     */
+    value
+
+    /**
+     * @param {*} value - Raw latestLedgerCloseTime value from the RPC response
+     */
+    constructor(value) {
+        super(`Invalid latest ledger close time in the RPC response: ${value}`)
+        this.value = value
+    }
+}
+
+/**
+ * @param {string} errorResultXdr - Transaction result XDR
+ * @returns {string|null}
+ */
+function getTransactionResultCode(errorResultXdr) {
+    try {
+        return xdr.TransactionResult.fromXDR(errorResultXdr, 'base64').result().switch().name
+    } catch (e) {
+        return null
+    }
+}
+
+/**
+ * @param {string} hash - Transaction hash
+ * @param {string} status - Send transaction status
+ * @param {string|null} resultCode - Transaction result code name
+ * @returns {string}
+ */
+function formatSubmitErrorMessage(hash, status, resultCode) {
+    switch (status) {
+        case 'DUPLICATE':
+            return `Transaction ${hash} has already been submitted`
+        case 'TRY_AGAIN_LATER':
+            return `Transaction ${hash} was not accepted by the server, try again later`
+        case 'ERROR':
+            return `Transaction ${hash} was rejected${resultCode ? `: ${resultCode}` : ''}`
+        default:
+            return `Transaction ${hash} submit failed: ${status}`
+    }
+}
+
+module.exports = {
+    OracleError,
+    OracleContractError,
+    SimulationError,
+    AssetEncodingError,
+    SignatureError,
+    PriceVerificationError,
+    PriceUpdateError,
+    PriceGuardError,
+    TransactionFailedError,
+    SubmitError,
+    TransactionTimeoutError,
+    ConfigurationError,
+    OfflineModeError,
+    LedgerEntryNotFoundError,
+    LedgerCloseTimeError
+}
\ No newline at end of file
@@ -1,3 +1,51 @@
 const OracleClient = require('./client')
+const AssetType = require('./asset-type')
+const ContractErrorCode = require('./contract-error-code')
+const RoundingMode = require('./rounding-mode')
+const PriceFormatter = require('./price-formatter')
+const PriceCache = require('./price-cache')
+const LruStore = require('./lru-store')
+const PriceWatcher = require('./price-watcher')
+const SignatureCollector = require('./signature-collector')
+const SequenceManager = require('./sequence-manager')
+const Signer = require('./signer')
+const KeypairSigner = require('./keypair-signer')
+const RemoteSigner = require('./remote-signer')
+const PriceGuard = require('./price-guard')
+const PriceViolation = require('./price-violation')
+const {toDecimalString, fromDecimalString} = require('./utils/decimal-helper')
+const {getStellarAssetContractId, registerStellarAsset} = require('./utils/stellar-asset-helper')
+const {assetToString, parseAsset, assetsEqual, compareAssets} = require('./utils/asset-helper')
+const {transactionFingerprint} = require('./utils/transaction-helper')
+const {priceStats} = require('./utils/price-stats')
+const {getDeployedContractId} = require('./utils/deploy-helper')
+const errors = require('./errors')
+
+OracleClient.AssetType = AssetType
+OracleClient.ContractErrorCode = ContractErrorCode
+OracleClient.RoundingMode = RoundingMode
+OracleClient.PriceFormatter = PriceFormatter
+OracleClient.PriceCache = PriceCache
+OracleClient.LruStore = LruStore
+OracleClient.PriceWatcher = PriceWatcher
+OracleClient.SignatureCollector = SignatureCollector
+OracleClient.SequenceManager = SequenceManager
+OracleClient.Signer = Signer
+OracleClient.KeypairSigner = KeypairSigner
+OracleClient.RemoteSigner = RemoteSigner
+OracleClient.PriceGuard = PriceGuard
+OracleClient.PriceViolation = PriceViolation
+OracleClient.toDecimalString = toDecimalString
+OracleClient.fromDecimalString = fromDecimalString
+OracleClient.getStellarAssetContractId = getStellarAssetContractId
+OracleClient.registerStellarAsset = registerStellarAsset
+OracleClient.assetToString = assetToString
+OracleClient.parseAsset = parseAsset
+OracleClient.assetsEqual = assetsEqual
+OracleClient.compareAssets = compareAssets
+OracleClient.transactionFingerprint = transactionFingerprint
+OracleClient.priceStats = priceStats
+OracleClient.getDeployedContractId = getDeployedContractId
+Object.assign(OracleClient, errors)
 
 module.exports = OracleClient
\ No newline at end of file
@@ -0,0 +1,42 @@
+const Signer = require('./signer')
+
+/**
+ * @typedef {import('soroban-client').Keypair} Keypair
+ */
+
+/**
+ * Signs transactions with the local keypair
+ */
+class KeypairSigner extends Signer {
+
+    /**
+     * @type {Keypair}
+     * @description Keypair with the secret key
+     */
+    keypair
+
+    /**
+     * @param {Keypair} keypair - Keypair with the secret key
+     */
+    constructor(keypair) {
+        super()
+        this.keypair = keypair
+    }
+
+    /**
+     * @returns {string}
+     */
+    publicKey() {
+        return this.keypair.publicKey()
+    }
+
+    /**
+     * @param {Buffer} hash - Transaction hash
+     * @returns {Promise<Buffer>}
+     */
+    async signHash(hash) {
+        return this.keypair.sign(hash)
+    }
+}
+
+module.exports = KeypairSigner
\ No newline at end of file
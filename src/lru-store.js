@@ -0,0 +1,62 @@
+/**
+ * In-memory cache store that evicts the least recently used entries
+ */
+class LruStore {
+
+    /**
+     * @type {number}
+     * @description Max number of entries
+     */
+    maxSize
+
+    /**
+     * @type {Map<string, any>}
+     * @description Entries in the order of use, the least recently used first
+     */
+    entries = new Map()
+
+    /**
+     * @param {number} [maxSize] - Max number of entries. Default is 1000.
+     */
+    constructor(maxSize = 1000) {
+        this.maxSize = maxSize
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @returns {any} - Entry value, or undefined if not found
+     */
+    get(key) {
+        if (!this.entries.has(key))
+            return undefined
+        const value = this.entries.get(key)
+        //move the entry to the end of the list
+        this.entries.delete(key)
+        this.entries.set(key, value)
+        return value
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @param {any} value - Entry value
+     */
+    set(key, value) {
+        this.entries.delete(key)
+        this.entries.set(key, value)
+        while (this.entries.size > this.maxSize)
+            this.entries.delete(this.entries.keys().next().value)
+    }
+
+    /**
+     * @param {string} key - Entry key
+     */
+    delete(key) {
+        this.entries.delete(key)
+    }
+
+    clear() {
+        this.entries.clear()
+    }
+}
+
+module.exports = LruStore
\ No newline at end of file
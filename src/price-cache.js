@@ -0,0 +1,117 @@
+const LruStore = require('./lru-store')
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {function(string): any|Promise<any>} get - Returns stored value, or undefined if not found
+ * @property {function(string, any): void|Promise<void>} set - Stores value
+ * @property {function(string): void|Promise<void>} delete - Removes value
+ * @property {function(): void|Promise<void>} [clear] - Removes all values
+ */
+
+/**
+ * @typedef {Object} PriceCacheOptions
+ * @property {CacheStore} [store] - Custom cache store. LruStore is used by default
+ * @property {number} [maxSize] - Max number of entries in the default store. Default is 1000.
+ * @property {number} [minTtl] - Min entry lifetime in milliseconds, used when the next price update is overdue. Default is 1000.
+ */
+
+/**
+ * Cache for the oracle query results with per-entry expiration time
+ */
+class PriceCache {
+
+    /**
+     * @type {CacheStore}
+     * @description Underlying cache store
+     */
+    store
+
+    /**
+     * @type {number}
+     * @description Min entry lifetime in milliseconds
+     */
+    minTtl
+
+    /**
+     * @type {Map<string, Promise<any>>}
+     * @description Fetches in progress, used to avoid duplicate requests for the same key
+     */
+    pending = new Map()
+
+    /**
+     * @param {PriceCacheOptions} [options] - Cache options
+     */
+    constructor({store, maxSize = 1000, minTtl = 1000} = {}) {
+        this.store = store || new LruStore(maxSize)
+        this.minTtl = minTtl
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @returns {Promise<any>} - Cached value, or undefined if not found or expired
+     */
+    async get(key) {
+        const entry = await this.store.get(key)
+        if (!entry)
+            return undefined
+        if (entry.expires <= Date.now()) {
+            await this.store.delete(key)
+            return undefined
+        }
+        return entry.value
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @param {any} value - Value to cache
+     * @param {number} expires - Expiration time in milliseconds since epoch. Infinity for values that never expire
+     * @returns {Promise<void>}
+     */
+    async set(key, value, expires) {
+        await this.store.set(key, {value, expires: Math.max(expires, Date.now() + this.minTtl)})
+    }
+
+    /**
+     * Returns cached value or fetches and caches the new one. Null and undefined values are not cached
+     * @param {string} key - Entry key
+     * @param {function(): Promise<any>} fetch - Fetches the value
+     * @param {function(any): number|Promise<number>} getExpiration - Returns expiration time for the fetched value
+     * @returns {Promise<any>}
+     */
+    async getOrFetch(key, fetch, getExpiration) {
+        const cached = await this.get(key)
+        if (cached !== undefined)
+            return cached
+        let request = this.pending.get(key)
+        if (!request) {
+            request = (async () => {
+                const value = await fetch()
+                if (value !== null && value !== undefined)
+                    await this.set(key, value, await getExpiration(value))
+                return value
+            })()
+                .finally(() => this.pending.delete(key))
+            this.pending.set(key, request)
+        }
+        return await request
+    }
+
+    /**
+     * Removes the entry, so the next request fetches a fresh value
+     * @param {string} key - Entry key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.store.delete(key)
+    }
+
+    /**
+     * Removes all entries
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.store.clear?.()
+    }
+}
+
+module.exports = PriceCache
\ No newline at end of file
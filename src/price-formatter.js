@@ -0,0 +1,72 @@
+const RoundingMode = require('./rounding-mode')
+const {toDecimalString, fromDecimalString} = require('./utils/decimal-helper')
+
+/**
+ * @typedef {import('./client').Price} Price
+ */
+
+/**
+ * Converts raw oracle prices to decimal strings and back, using the contract decimals
+ */
+class PriceFormatter {
+
+    /**
+     * @type {number}
+     * @description Number of decimal places in the contract prices
+     */
+    decimals
+
+    /**
+     * @type {RoundingMode}
+     * @description Rounding mode used when the output precision is reduced, or the input has too many decimal places
+     */
+    rounding
+
+    /**
+     * @type {number}
+     * @description Max number of decimal places in the formatted prices
+     */
+    precision
+
+    /**
+     * @param {number} decimals - Number of decimal places in the contract prices
+     * @param {{rounding?: RoundingMode, precision?: number}} [options] - Formatter options
+     */
+    constructor(decimals, {rounding = RoundingMode.HalfUp, precision = decimals} = {}) {
+        this.decimals = decimals
+        this.rounding = rounding
+        this.precision = precision
+    }
+
+    /**
+     * Converts raw price to the decimal string
+     * @param {BigInt} value - Raw price value
+     * @returns {string}
+     */
+    format(value) {
+        return toDecimalString(value, this.decimals, {precision: this.precision, rounding: this.rounding})
+    }
+
+    /**
+     * Converts decimal string to the raw price value
+     * @param {string} value - Decimal string
+     * @param {RoundingMode} [rounding] - Rounding mode. Throws if the value has more decimal places than the contract supports by default
+     * @returns {BigInt}
+     */
+    parse(value, rounding = RoundingMode.Unnecessary) {
+        return fromDecimalString(value, this.decimals, rounding)
+    }
+
+    /**
+     * Returns a copy of the price object with decimal string representation. The original object is not modified
+     * @param {Price} price - Price object
+     * @returns {Price}
+     */
+    formatPrice(price) {
+        if (!price)
+            return price
+        return {...price, decimalPrice: this.format(price.price)}
+    }
+}
+
+module.exports = PriceFormatter
\ No newline at end of file
@@ -0,0 +1,215 @@
+const {PriceGuardError} = require('./errors')
+const PriceViolation = require('./price-violation')
+const {isKeyedUpdates, resolvePriceUpdates} = require('./utils/price-update-helper')
+
+/**
+ * @typedef {import('./client')} OracleClient
+ * @typedef {import('./client').Asset} Asset
+ * @typedef {import('./client').Price} Price
+ * @typedef {import('./client').TxOptions} TxOptions
+ * @typedef {import('soroban-client').Account} Account
+ * @typedef {import('soroban-client').Transaction} Transaction
+ * @typedef {import('./utils/price-update-helper').PriceUpdates} PriceUpdates
+ */
+
+/**
+ * @typedef {Object} PriceGuardOptions
+ * @property {number} [maxDeviation] - Max deviation from the last on-chain price in percent, e.g. 2.5. Not checked if not set
+ * @property {Object<string, number>} [deviations] - Max deviation per asset in percent, keyed by the asset string notation, e.g. generic:USD.
+ * Takes precedence over maxDeviation
+ * @property {number} [maxAge] - Max delay of the update timestamp behind the ledger close time in milliseconds. Not checked if not set
+ * @property {number} [maxAhead] - Max lead of the update timestamp over the ledger close time in milliseconds. Not checked if not set
+ * The timestamp limits are checked against the latestLedgerCloseTime field of the RPC getTransaction response.
+ * If the server doesn't return it, {@link PriceGuard#check} throws LedgerCloseTimeError instead of skipping the check
+ * @property {boolean} [flagOnly] - Report violations without rejecting the updates. Default is false.
+ * @property {number} [concurrency] - Max number of simultaneous last price requests. Default is 5.
+ */
+
+/**
+ * @typedef {Object} GuardOverrides
+ * @property {Asset[]} [assets] - Assets with accepted violations
+ * @property {boolean} [timestamp] - Accept timestamp violations
+ */
+
+/**
+ * @typedef {Object} AssetPriceCheck
+ * @property {Asset|null} asset - Registered asset at the update position. Null for positions beyond the registered assets
+ * @property {BigInt} price - New price
+ * @property {Price|null} lastPrice - Last on-chain price. Null if there is no price or it couldn't be fetched
+ * @property {Error|null} fetchError - Error occurred while fetching the last on-chain price
+ * @property {number|null} deviation - Deviation from the last on-chain price in percent, truncated to 4 decimal places.
+ * Null if there is no positive on-chain price
+ * @property {PriceViolation[]} violations - Violated limits
+ * @property {boolean} overridden - Whether the violations were accepted by the operator
+ * @property {boolean} accepted - Whether the price passed the guard
+ */
+
+/**
+ * @typedef {Object} PriceGuardReport
+ * @property {number} timestamp - Update timestamp in milliseconds
+ * @property {number|null} ledgerCloseTime - Latest ledger close time in milliseconds. Null if the timestamp limits are not set
+ * @property {PriceViolation[]} timestampViolations - Violated timestamp limits
+ * @property {boolean} timestampOverridden - Whether the timestamp violations were accepted by the operator
+ * @property {AssetPriceCheck[]} assets - Price checks in the contract assets order. Assets omitted from keyed updates are not checked
+ * @property {boolean} accepted - Whether all checks passed or were overridden
+ */
+
+/**
+ * Percent values are compared with 4 decimal places
+ */
+const percentScale = 10000
+
+/**
+ * @param {PriceUpdates} updates - Keyed price updates
+ * @returns {Asset[]}
+ */
+function getUpdatedAssets(updates) {
+    return updates instanceof Map ? [...updates.keys()] : updates.map(({asset}) => asset)
+}
+
+/**
+ * @param {BigInt} price - New price
+ * @param {Price|null} lastPrice - Last on-chain price
+ * @returns {BigInt|null} - Deviation in percent, scaled by percentScale and truncated
+ */
+function getScaledDeviation(price, lastPrice) {
+    if (!lastPrice || lastPrice.price <= 0n)
+        return null
+    const difference = price > lastPrice.price ? price - lastPrice.price : lastPrice.price - price
+    return difference * 100n * BigInt(percentScale) / lastPrice.price
+}
+
+/**
+ * Checks price updates before publishing: rejects non-positive prices, prices that deviate too much from the last
+ * on-chain prices, and timestamps too far from the ledger close time. Violations for specific assets
+ * can be overridden by the operator after reviewing the report.
+ */
+class PriceGuard {
+
+    /**
+     * @type {OracleClient}
+     * @description Oracle client instance
+     */
+    client
+
+    /**
+     * @type {PriceGuardOptions}
+     * @description Guard options
+     */
+    options
+
+    /**
+     * @param {OracleClient} client - Oracle client instance
+     * @param {PriceGuardOptions} [options] - Guard options
+     */
+    constructor(client, options = {}) {
+        this.client = client
+        this.options = options
+    }
+
+    /**
+     * @param {Asset|null} asset - Registered asset
+     * @returns {number|undefined} - Max deviation in percent
+     */
+    getMaxDeviation(asset) {
+        const limit = asset ? this.options.deviations?.[this.client.query.getAssetKey(asset)] : undefined
+        return limit ?? this.options.maxDeviation
+    }
+
+    /**
+     * @param {number} timestamp - Update timestamp in milliseconds
+     * @param {number} ledgerCloseTime - Latest ledger close time in milliseconds
+     * @returns {PriceViolation[]}
+     */
+    getTimestampViolations(timestamp, ledgerCloseTime) {
+        const {maxAge, maxAhead} = this.options
+        const violations = []
+        if (maxAge !== undefined && ledgerCloseTime - timestamp > maxAge)
+            violations.push(PriceViolation.Stale)
+        if (maxAhead !== undefined && timestamp - ledgerCloseTime > maxAhead)
+            violations.push(PriceViolation.Future)
+        return violations
+    }
+
+    /**
+     * Checks the updates against the on-chain state without building a transaction
+     * @param {PriceUpdates} updates - Prices in the contract assets order, or prices keyed by asset
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @param {GuardOverrides} [overrides] - Accepted violations
+     * @returns {Promise<PriceGuardReport>}
+     */
+    async check(updates, timestamp, overrides = {}) {
+        const prices = await resolvePriceUpdates(this.client, updates, timestamp)
+        const registeredAssets = await this.client.getAssets()
+        const updatedKeys = isKeyedUpdates(updates)
+            ? new Set(getUpdatedAssets(updates).map(asset => this.client.query.getAssetKey(asset)))
+            : null
+        const positions = prices
+            .map((price, i) => ({price: BigInt(price ?? 0), asset: registeredAssets[i] || null})) //empty prices are sent as zero
+            .filter(({asset}) => !updatedKeys || asset && updatedKeys.has(this.client.query.getAssetKey(asset)))
+
+        const checkTimestamp = this.options.maxAge !== undefined || this.options.maxAhead !== undefined
+        const [lastPrices, ledgerCloseTime] = await Promise.all([
+            this.client.query.lastPrices(positions.map(({asset}) => asset).filter(Boolean), {concurrency: this.options.concurrency}),
+            checkTimestamp ? this.client.getLedgerCloseTime() : null
+        ])
+
+        const overriddenKeys = new Set((overrides.assets || []).map(asset => this.client.query.getAssetKey(asset)))
+        const assets = positions.map(({price, asset}) => {
+            const result = asset ? lastPrices.get(this.client.query.getAssetKey(asset)) : null
+            const lastPrice = result?.price || null
+            const fetchError = result?.error || null
+            const deviation = getScaledDeviation(price, lastPrice)
+            const maxDeviation = this.getMaxDeviation(asset)
+            const violations = []
+            if (price <= 0n)
+                violations.push(PriceViolation.NonPositive)
+            if (fetchError && maxDeviation !== undefined) //the deviation is unknown, so the update is not accepted silently
+                violations.push(PriceViolation.Unavailable)
+            if (deviation !== null && maxDeviation !== undefined && deviation > BigInt(Math.round(maxDeviation * percentScale)))
+                violations.push(PriceViolation.Deviation)
+            const overridden = violations.length > 0 && asset !== null && overriddenKeys.has(this.client.query.getAssetKey(asset))
+            return {
+                asset,
+                price,
+                lastPrice,
+                fetchError,
+                deviation: deviation === null ? null : Number(deviation) / percentScale,
+                violations,
+                overridden,
+                accepted: !violations.length || overridden
+            }
+        })
+
+        const timestampViolations = checkTimestamp ? this.getTimestampViolations(Number(timestamp), ledgerCloseTime) : []
+        const timestampOverridden = timestampViolations.length > 0 && !!overrides.timestamp
+        return {
+            timestamp: Number(timestamp),
+            ledgerCloseTime,
+            timestampViolations,
+            timestampOverridden,
+            assets,
+            accepted: (!timestampViolations.length || timestampOverridden) && assets.every(check => check.accepted)
+        }
+    }
+
+    /**
+     * Checks the updates and builds a transaction to set prices. Throws PriceGuardError if the updates are rejected,
+     * unless the guard is in the flag-only mode
+     * @param {string|Account} source - Valid Stellar account ID, or Account object
+     * @param {PriceUpdates} updates - Prices in the contract assets order, or prices keyed by asset
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @param {TxOptions} [options] - Transaction options
+     * @param {GuardOverrides} [overrides] - Accepted violations
+     * @returns {Promise<{transaction: Transaction|string, report: PriceGuardReport}>} - Prepared transaction and the guard report
+     */
+    async setPrice(source, updates, timestamp, options = {fee: 100}, overrides = {}) {
+        const report = await this.check(updates, timestamp, overrides)
+        if (!report.accepted && !this.options.flagOnly)
+            throw new PriceGuardError(report)
+        const transaction = await this.client.setPrice(source, updates, timestamp, options)
+        return {transaction, report}
+    }
+}
+
+module.exports = PriceGuard
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Enum price guard violation
+ * @readonly
+ * @enum {string}
+ */
+const PriceViolation = {
+    /**
+     * Price is zero or negative
+     */
+    NonPositive: 'nonPositive',
+    /**
+     * Price deviates from the last on-chain price more than allowed
+     */
+    Deviation: 'deviation',
+    /**
+     * Last on-chain price couldn't be fetched, so the deviation can't be checked
+     */
+    Unavailable: 'unavailable',
+    /**
+     * Timestamp is too far behind the ledger close time
+     */
+    Stale: 'stale',
+    /**
+     * Timestamp is too far ahead of the ledger close time
+     */
+    Future: 'future'
+}
+
+module.exports = PriceViolation
\ No newline at end of file
@@ -0,0 +1,258 @@
+const {EventEmitter} = require('events')
+const {delay} = require('./utils/async-helper')
+
+/**
+ * @typedef {import('./client')} OracleClient
+ * @typedef {import('./client').Asset} Asset
+ * @typedef {import('./client').Price} Price
+ */
+
+/**
+ * @typedef {Object} PriceUpdate
+ * @property {Asset} [asset] - Watched asset. Set for asset updates
+ * @property {Asset} [baseAsset] - Base asset. Set for pair updates
+ * @property {Asset} [quoteAsset] - Quote asset. Set for pair updates
+ * @property {Price} price - New price
+ * @property {number} timestamp - Oracle timestamp of the update
+ */
+
+/**
+ * @typedef {Object} PriceWatcherOptions
+ * @property {Asset[]} [assets] - Assets to watch
+ * @property {[Asset, Asset][]} [pairs] - Base and quote asset pairs to watch
+ * @property {number} [pollInterval] - Delay between polls in milliseconds. Contract resolution is used by default
+ * @property {number} [stalePeriods] - Number of resolution periods without updates before the stale event is emitted. Default is 2.
+ * @property {number} [concurrency] - Max number of simultaneous price requests. Default is 5.
+ * @property {number} [highWaterMark] - Max number of updates buffered for the async iterator before polling is paused. Default is 100.
+ */
+
+/**
+ * Polls the oracle and emits new prices.
+ *
+ * Events:
+ * - price ({@link PriceUpdate}) - new price for a watched asset or pair
+ * - stale ({lastTimestamp: number, elapsed: number}) - no updates within the configured number of periods
+ * - error (Error) - poll failed, or the price for an asset or pair couldn't be fetched
+ *
+ * Unlike the plain EventEmitter, the watcher doesn't throw if there are no error listeners, because a failed poll
+ * is retried on the next interval. Such errors are not lost: the latest one is available in {@link PriceWatcher#lastError}.
+ *
+ * Updates can also be consumed with `for await (const update of watcher)`. Polling is paused while the consumer lags behind.
+ */
+class PriceWatcher extends EventEmitter {
+
+    /**
+     * @type {OracleClient}
+     * @description Oracle client instance
+     */
+    client
+
+    /**
+     * @type {PriceWatcherOptions}
+     * @description Watcher options
+     */
+    options
+
+    /**
+     * @type {number}
+     * @description Last processed oracle timestamp
+     */
+    lastTimestamp = 0
+
+    /**
+     * @type {boolean}
+     * @description Whether the stale event was emitted for the current last timestamp
+     */
+    isStale = false
+
+    /**
+     * @type {Error|null}
+     * @description Last poll or price fetch error, regardless of whether it was emitted. Reset when the next poll starts
+     */
+    lastError = null
+
+    /**
+     * @type {AbortController|null}
+     * @description Controller used to interrupt the polling loop. Null if the watcher is stopped
+     */
+    abortController = null
+
+    /**
+     * @type {PriceUpdate[]|null}
+     * @description Updates buffered for the async iterator. Null until the iterator is requested
+     */
+    queue = null
+
+    /**
+     * @type {function[]}
+     * @description Pending async iterator requests
+     */
+    waiters = []
+
+    /**
+     * @type {function|null}
+     * @description Resumes polling once the consumer drains the queue
+     */
+    resumePolling = null
+
+    /**
+     * @param {OracleClient} client - Oracle client instance
+     * @param {PriceWatcherOptions} options - Watcher options
+     */
+    constructor(client, options = {}) {
+        super()
+        this.client = client
+        this.options = options
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get isRunning() {
+        return this.abortController !== null
+    }
+
+    /**
+     * Starts polling
+     * @returns {PriceWatcher}
+     */
+    start() {
+        if (this.isRunning)
+            return this
+        this.abortController = new AbortController()
+        this.run(this.abortController.signal)
+        return this
+    }
+
+    /**
+     * Stops polling and completes the async iterator
+     */
+    stop() {
+        if (!this.isRunning)
+            return
+        this.abortController.abort()
+        this.abortController = null
+        this.resumePolling?.()
+        for (const resolve of this.waiters.splice(0))
+            resolve({done: true, value: undefined})
+    }
+
+    /**
+     * @param {AbortSignal} signal - Stop signal
+     * @returns {Promise<void>}
+     */
+    async run(signal) {
+        while (!signal.aborted) {
+            let interval = this.options.pollInterval
+            try {
+                await this.poll()
+                interval = interval || await this.client.query.resolution() * 1000
+            } catch (e) {
+                this.emitError(e)
+                interval = interval || 1000
+            }
+            if (this.queue && this.queue.length >= (this.options.highWaterMark || 100)) {
+                await new Promise(resolve => {
+                    this.resumePolling = resolve
+                })
+                this.resumePolling = null
+            }
+            try {
+                await delay(interval, signal)
+            } catch (e) {
+                return //stopped
+            }
+        }
+    }
+
+    /**
+     * Checks the last timestamp and emits new prices or the stale event
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        const {assets = [], pairs = [], concurrency = 5, stalePeriods = 2} = this.options
+        this.lastError = null
+        const lastTimestamp = await this.client.query.lastTimestamp()
+        if (lastTimestamp > this.lastTimestamp) {
+            const [assetPrices, pairPrices] = await Promise.all([
+                this.client.query.lastPrices(assets, {concurrency}),
+                this.client.query.xLastPrices(pairs, {concurrency})
+            ])
+            this.lastTimestamp = lastTimestamp
+            this.isStale = false
+            for (const asset of assets) {
+                const {price, error} = assetPrices.get(this.client.query.getAssetKey(asset))
+                this.processResult({asset, price, timestamp: lastTimestamp}, error)
+            }
+            for (const [baseAsset, quoteAsset] of pairs) {
+                const {price, error} = pairPrices.get(this.client.query.getPairKey(baseAsset, quoteAsset))
+                this.processResult({baseAsset, quoteAsset, price, timestamp: lastTimestamp}, error)
+            }
+            return
+        }
+        const elapsed = Date.now() - lastTimestamp
+        if (!this.isStale && elapsed > stalePeriods * await this.client.query.resolution() * 1000) {
+            this.isStale = true
+            this.emit('stale', {lastTimestamp, elapsed})
+        }
+    }
+
+    /**
+     * @param {PriceUpdate} update - Price update
+     * @param {Error|null} error - Error occurred while fetching the price
+     */
+    processResult(update, error) {
+        if (error) {
+            this.emitError(error)
+            return
+        }
+        if (!update.price)
+            return
+        this.emit('price', update)
+        if (!this.queue)
+            return
+        const waiter = this.waiters.shift()
+        if (waiter)
+            waiter({done: false, value: update})
+        else
+            this.queue.push(update)
+    }
+
+    /**
+     * Stores the error and emits error event if there are listeners, unhandled error events would crash the process
+     * @param {Error} error - Error to emit
+     */
+    emitError(error) {
+        this.lastError = error
+        if (this.listenerCount('error') > 0)
+            this.emit('error', error)
+    }
+
+    /**
+     * Returns async iterator over price updates. Starts the watcher if it isn't running
+     * @returns {AsyncIterator<PriceUpdate>}
+     */
+    [Symbol.asyncIterator]() {
+        if (!this.queue)
+            this.queue = []
+        this.start()
+        return {
+            next: () => {
+                if (this.queue.length) {
+                    const value = this.queue.shift()
+                    this.resumePolling?.()
+                    return Promise.resolve({done: false, value})
+                }
+                if (!this.isRunning)
+                    return Promise.resolve({done: true, value: undefined})
+                return new Promise(resolve => this.waiters.push(resolve))
+            },
+            return: () => {
+                this.stop()
+                return Promise.resolve({done: true, value: undefined})
+            }
+        }
+    }
+}
+
+module.exports = PriceWatcher
\ No newline at end of file
@@ -0,0 +1,600 @@
+const {Account, TransactionBuilder, xdr} = require('soroban-client')
+const {SimulationError, PriceVerificationError} = require('./errors')
+const {getSimulationError} = require('./utils/error-helper')
+const {mapConcurrent} = require('./utils/async-helper')
+const {assetToString} = require('./utils/asset-helper')
+const {crossPrice, crossPrices, twap, crossTwap} = require('./utils/price-math')
+const {priceStats} = require('./utils/price-stats')
+const {
+    buildAssetScVal,
+    parseAdminValue,
+    parseAssetValue,
+    parseNumberValue,
+    parseAssetsValue,
+    parsePriceValue,
+    parsePricesValue,
+    parseI128Value
+} = require('./utils/scval-helper')
+
+/**
+ * @typedef {import('./client')} OracleClient
+ * @typedef {import('./client').Asset} Asset
+ * @typedef {import('./client').Price} Price
+ * @typedef {import('./utils/price-stats').PriceStats} PriceStats
+ */
+
+/**
+ * @typedef {Object} BatchPriceResult
+ * @property {Price|null} price - Price object, or null if the price is not available or the call failed
+ * @property {Error|null} error - Error that occurred while fetching the price
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [concurrency] - Max number of simultaneous simulations. Default is 5.
+ */
+
+/**
+ * @typedef {Object} RangeOptions
+ * @property {number} [step] - Distance between points in milliseconds, rounded to a multiple of the contract resolution. Resolution by default
+ * @property {number} [chunkSize] - Number of points read at once. Default is 50.
+ * @property {number} [concurrency] - Max number of simultaneous simulations. Default is 5.
+ */
+
+/**
+ * @typedef {Object} RangePoint
+ * @property {number} timestamp - Timestamp in milliseconds, aligned to the contract resolution
+ * @property {Price|null} price - Price, or null if there is no price for the timestamp
+ */
+
+/**
+ * @typedef {Object} PairVerifyOptions
+ * @property {{baseAsset: Asset, quoteAsset: Asset}} [verify] - Compare the local result with the contract result for the pair.
+ * Throws PriceVerificationError on mismatch
+ */
+
+/**
+ * Placeholder account used as a source for simulated transactions. It never signs anything and doesn't need to exist
+ */
+const simulationSourceAccountId = 'GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF'
+
+/**
+ * @param {Promise<Price>} pricePromise - Price request
+ * @returns {Promise<BatchPriceResult>}
+ */
+async function settlePrice(pricePromise) {
+    try {
+        return {price: await pricePromise, error: null}
+    } catch (error) {
+        return {price: null, error}
+    }
+}
+
+/**
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - Whether prices, price arrays or BigInt values are equal
+ */
+function resultsEqual(a, b) {
+    if (Array.isArray(a) || Array.isArray(b))
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((value, i) => resultsEqual(value, b[i]))
+    if (a && typeof a === 'object' && b && typeof b === 'object')
+        return a.price === b.price && a.timestamp === b.timestamp
+    return (a ?? null) === (b ?? null)
+}
+
+/**
+ * @param {string} method - Contract method used for verification
+ * @param {any} local - Locally computed value
+ * @param {any} onChain - Value returned by the contract
+ */
+function verifyResult(method, local, onChain) {
+    if (!resultsEqual(local, onChain))
+        throw new PriceVerificationError(method, local, onChain)
+}
+
+/**
+ * Read-only oracle API. Simulates contract calls instead of building transactions, so no signing, fees or ledger writes are involved.
+ */
+class OracleQuery {
+
+    /**
+     * @type {OracleClient}
+     * @description Oracle client instance
+     */
+    client
+
+    /**
+     * @param {OracleClient} client - Oracle client instance
+     */
+    constructor(client) {
+        this.client = client
+    }
+
+    /**
+     * Simulates a contract call and returns unwrapped result value
+     * @param {xdr.Operation} operation - Contract call operation
+     * @returns {Promise<any>}
+     */
+    async simulate(operation) {
+        const transaction = new TransactionBuilder(new Account(simulationSourceAccountId, '0'), {
+            fee: '100',
+            networkPassphrase: this.client.network
+        })
+            .addOperation(operation)
+            .setTimeout(0)
+            .build()
+
+        const simulation = await this.client.server.simulateTransaction(transaction)
+        if (simulation.error)
+            throw getSimulationError(simulation)
+        const result = simulation.results?.[0]
+        if (!result)
+            throw new SimulationError('no results returned')
+        return xdr.ScVal.fromXDR(result.xdr, 'base64').value()
+    }
+
+    /**
+     * Returns cached value if the client cache is enabled, otherwise fetches the value
+     * @param {string} key - Cache key, unique within the contract
+     * @param {function(): Promise<any>} fetch - Fetches the value
+     * @param {function(any): number|Promise<number>} getExpiration - Returns expiration time for the fetched value
+     * @returns {Promise<any>}
+     */
+    async cached(key, fetch, getExpiration) {
+        const {cache} = this.client
+        if (!cache)
+            return await fetch()
+        return await cache.getOrFetch(`${this.client.contractId}:${key}`, fetch, getExpiration)
+    }
+
+    /**
+     * Removes cached query result, so the next call reads the contract
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async invalidate(key) {
+        await this.client.cache?.delete(`${this.client.contractId}:${key}`)
+    }
+
+    /**
+     * Returns time of the next expected price update, based on the last timestamp and resolution
+     * @returns {Promise<number>} - Time in milliseconds since epoch
+     */
+    async getNextUpdateTime() {
+        const [lastTimestamp, resolution] = await Promise.all([this.lastTimestamp(), this.resolution()])
+        return (lastTimestamp || 0) + resolution * 1000
+    }
+
+    /**
+     * @param {Asset} asset - Asset object
+     * @returns {string} - Asset cache key
+     */
+    getAssetKey(asset) {
+        return assetToString(asset, this.client.network)
+    }
+
+    /**
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @returns {string} - Asset pair key, e.g. generic:EUR/generic:USD
+     */
+    getPairKey(baseAsset, quoteAsset) {
+        return `${this.getAssetKey(baseAsset)}/${this.getAssetKey(quoteAsset)}`
+    }
+
+    /**
+     * Adds decimal price representation if formatPrices client option is set
+     * @param {Price} price - Price object
+     * @returns {Promise<Price>}
+     */
+    async formatPrice(price) {
+        if (!price || !this.client.options.formatPrices)
+            return price
+        return (await this.client.getPriceFormatter()).formatPrice(price)
+    }
+
+    /**
+     * Adds decimal price representation to each price if formatPrices client option is set
+     * @param {Price[]} prices - Price objects
+     * @returns {Promise<Price[]>}
+     */
+    async formatPrices(prices) {
+        if (!prices || !this.client.options.formatPrices)
+            return prices
+        const formatter = await this.client.getPriceFormatter()
+        return prices.map(price => formatter.formatPrice(price))
+    }
+
+    /**
+     * Returns contract admin
+     * @returns {Promise<string>} - Admin account ID
+     */
+    async admin() {
+        return parseAdminValue(await this.simulate(this.client.contract.call('admin')))
+    }
+
+    /**
+     * Returns base asset
+     * @returns {Promise<Asset>}
+     */
+    async base() {
+        return await this.cached('base',
+            async () => parseAssetValue(await this.simulate(this.client.contract.call('base')), this.client.network),
+            () => Infinity)
+    }
+
+    /**
+     * Returns price decimals
+     * @returns {Promise<number>}
+     */
+    async decimals() {
+        return await this.cached('decimals',
+            async () => parseNumberValue(await this.simulate(this.client.contract.call('decimals'))),
+            () => Infinity)
+    }
+
+    /**
+     * Returns price resolution in seconds
+     * @returns {Promise<number>}
+     */
+    async resolution() {
+        return await this.cached('resolution',
+            async () => parseNumberValue(await this.simulate(this.client.contract.call('resolution'))),
+            () => Infinity)
+    }
+
+    /**
+     * Returns retention period in milliseconds
+     * @returns {Promise<number>}
+     */
+    async period() {
+        return parseNumberValue(await this.simulate(this.client.contract.call('period')))
+    }
+
+    /**
+     * Returns supported assets in the contract order. The contract only appends new assets,
+     * so the positions of the known ones never change
+     * @param {boolean} [refresh] - Ignore the cached list and read it from the contract
+     * @returns {Promise<Asset[]>}
+     */
+    async assets(refresh = false) {
+        if (refresh)
+            await this.invalidate('assets')
+        return await this.cached('assets',
+            async () => parseAssetsValue(await this.simulate(this.client.contract.call('assets')), this.client.network),
+            () => this.getNextUpdateTime())
+    }
+
+    /**
+     * Returns last timestamp
+     * @returns {Promise<number>}
+     */
+    async lastTimestamp() {
+        return await this.cached('last_timestamp',
+            async () => parseNumberValue(await this.simulate(this.client.contract.call('last_timestamp'))),
+            async lastTimestamp => lastTimestamp + await this.resolution() * 1000)
+    }
+
+    /**
+     * Returns asset price at timestamp
+     * @param {Asset} asset - Asset to get price for
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @returns {Promise<Price>}
+     */
+    async price(asset, timestamp) {
+        const price = await this.cached(`price:${this.getAssetKey(asset)}:${timestamp}`,
+            async () => parsePriceValue(await this.simulate(this.client.contract.call(
+                'price',
+                buildAssetScVal(asset, this.client.network),
+                xdr.ScVal.scvU64(xdr.Uint64.fromString(timestamp.toString()))
+            ))),
+            () => Infinity) //historical prices never change
+        return await this.formatPrice(price)
+    }
+
+    /**
+     * Returns cross asset price at timestamp
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @returns {Promise<Price>}
+     */
+    async xPrice(baseAsset, quoteAsset, timestamp) {
+        return await this.formatPrice(parsePriceValue(await this.simulate(this.client.contract.call(
+            'x_price',
+            buildAssetScVal(baseAsset, this.client.network),
+            buildAssetScVal(quoteAsset, this.client.network),
+            xdr.ScVal.scvU64(xdr.Uint64.fromString(timestamp.toString()))
+        ))))
+    }
+
+    /**
+     * Returns last asset price
+     * @param {Asset} asset - Asset to get price for
+     * @returns {Promise<Price>}
+     */
+    async lastPrice(asset) {
+        const price = await this.cached(`lastprice:${this.getAssetKey(asset)}`,
+            async () => parsePriceValue(await this.simulate(this.client.contract.call(
+                'lastprice',
+                buildAssetScVal(asset, this.client.network)
+            ))),
+            () => this.getNextUpdateTime())
+        return await this.formatPrice(price)
+    }
+
+    /**
+     * Returns last cross asset price
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @returns {Promise<Price>}
+     */
+    async xLastPrice(baseAsset, quoteAsset) {
+        return await this.formatPrice(parsePriceValue(await this.simulate(this.client.contract.call(
+            'x_last_price',
+            buildAssetScVal(baseAsset, this.client.network),
+            buildAssetScVal(quoteAsset, this.client.network)
+        ))))
+    }
+
+    /**
+     * Returns last asset price records
+     * @param {Asset} asset - Asset to get prices for
+     * @param {number} records - Number of records to return
+     * @returns {Promise<Price[]>}
+     */
+    async prices(asset, records) {
+        const prices = await this.cached(`prices:${this.getAssetKey(asset)}:${records}`,
+            async () => parsePricesValue(await this.simulate(this.client.contract.call(
+                'prices',
+                buildAssetScVal(asset, this.client.network),
+                xdr.ScVal.scvU32(records)
+            ))),
+            () => this.getNextUpdateTime())
+        return await this.formatPrices(prices)
+    }
+
+    /**
+     * Returns last cross asset price records
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @param {number} records - Number of records to return
+     * @returns {Promise<Price[]>}
+     */
+    async xPrices(baseAsset, quoteAsset, records) {
+        return await this.formatPrices(parsePricesValue(await this.simulate(this.client.contract.call(
+            'x_prices',
+            buildAssetScVal(baseAsset, this.client.network),
+            buildAssetScVal(quoteAsset, this.client.network),
+            xdr.ScVal.scvU32(records)
+        ))))
+    }
+
+    /**
+     * Returns time-weighted average asset price
+     * @param {Asset} asset - Asset to get price for
+     * @param {number} records - Number of records to use
+     * @returns {Promise<BigInt>} - Raw price. Not affected by the formatPrices option, since there is no price object to extend.
+     * Use {@link PriceFormatter#format} for the decimal representation
+     */
+    async twap(asset, records) {
+        return parseI128Value(await this.simulate(this.client.contract.call(
+            'twap',
+            buildAssetScVal(asset, this.client.network),
+            xdr.ScVal.scvU32(records)
+        )))
+    }
+
+    /**
+     * Returns time-weighted average cross asset price
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @param {number} records - Number of records to use
+     * @returns {Promise<BigInt>} - Raw price. Not affected by the formatPrices option, since there is no price object to extend.
+     * Use {@link PriceFormatter#format} for the decimal representation
+     */
+    async xTwap(baseAsset, quoteAsset, records) {
+        return parseI128Value(await this.simulate(this.client.contract.call(
+            'x_twap',
+            buildAssetScVal(baseAsset, this.client.network),
+            buildAssetScVal(quoteAsset, this.client.network),
+            xdr.ScVal.scvU32(records)
+        )))
+    }
+
+    /**
+     * Returns last prices for many assets. Failed calls are reported per asset and don't fail the whole batch
+     * @param {Asset[]} assets - Assets to get prices for
+     * @param {BatchOptions} [options] - Batch options
+     * @returns {Promise<Map<string, BatchPriceResult>>} - Results keyed by the canonical asset strings, see {@link OracleQuery#getAssetKey}
+     */
+    async lastPrices(assets, {concurrency = 5} = {}) {
+        const results = await mapConcurrent(assets, concurrency, asset => settlePrice(this.lastPrice(asset)))
+        return new Map(assets.map((asset, i) => [this.getAssetKey(asset), results[i]]))
+    }
+
+    /**
+     * Returns last cross prices for many asset pairs. Failed calls are reported per pair and don't fail the whole batch
+     * @param {[Asset, Asset][]} pairs - Base and quote asset pairs
+     * @param {BatchOptions} [options] - Batch options
+     * @returns {Promise<Map<string, BatchPriceResult>>} - Results keyed by the asset pair strings, see {@link OracleQuery#getPairKey}
+     */
+    async xLastPrices(pairs, {concurrency = 5} = {}) {
+        const results = await mapConcurrent(pairs, concurrency,
+            ([baseAsset, quoteAsset]) => settlePrice(this.xLastPrice(baseAsset, quoteAsset)))
+        return new Map(pairs.map(([baseAsset, quoteAsset], i) => [this.getPairKey(baseAsset, quoteAsset), results[i]]))
+    }
+
+    /**
+     * Derives cross price from the already fetched prices without a contract call
+     * @param {Price} basePrice - Base asset price
+     * @param {Price} quotePrice - Quote asset price with the same timestamp
+     * @param {PairVerifyOptions} [options] - Verification options
+     * @returns {Promise<Price|null>}
+     */
+    async computeXPrice(basePrice, quotePrice, {verify} = {}) {
+        const {decimals} = await this.client.getPriceFormatter()
+        const price = crossPrice(basePrice, quotePrice, decimals)
+        if (verify && basePrice)
+            verifyResult('x_price', price, await this.xPrice(verify.baseAsset, verify.quoteAsset, Number(basePrice.timestamp)))
+        return await this.formatPrice(price)
+    }
+
+    /**
+     * Derives cross prices from the already fetched price records without a contract call.
+     * Verification compares the result with the last records returned by the contract, so the records should be the latest ones
+     * @param {Price[]} basePrices - Base asset prices
+     * @param {Price[]} quotePrices - Quote asset prices
+     * @param {PairVerifyOptions} [options] - Verification options
+     * @returns {Promise<Price[]>}
+     */
+    async computeXPrices(basePrices, quotePrices, {verify} = {}) {
+        const {decimals} = await this.client.getPriceFormatter()
+        const prices = crossPrices(basePrices, quotePrices, decimals)
+        if (verify)
+            verifyResult('x_prices', prices, await this.xPrices(verify.baseAsset, verify.quoteAsset, basePrices.length))
+        return await this.formatPrices(prices)
+    }
+
+    /**
+     * Calculates time-weighted average price from the already fetched records without a contract call.
+     * Verification compares the result with the contract TWAP, so the records should be the latest ones
+     * @param {Price[]} prices - Price records
+     * @param {{verify?: {asset: Asset}}} [options] - Verification options. Throws PriceVerificationError on mismatch
+     * @returns {Promise<BigInt|null>}
+     */
+    async computeTwap(prices, {verify} = {}) {
+        const price = twap(prices)
+        if (verify)
+            verifyResult('twap', price, await this.twap(verify.asset, prices.length))
+        return price
+    }
+
+    /**
+     * Calculates time-weighted average cross price from the already fetched records without a contract call.
+     * Verification compares the result with the contract TWAP, so the records should be the latest ones
+     * @param {Price[]} basePrices - Base asset prices
+     * @param {Price[]} quotePrices - Quote asset prices
+     * @param {PairVerifyOptions} [options] - Verification options
+     * @returns {Promise<BigInt|null>}
+     */
+    async computeXTwap(basePrices, quotePrices, {verify} = {}) {
+        const {decimals} = await this.client.getPriceFormatter()
+        const price = crossTwap(basePrices, quotePrices, decimals)
+        if (verify)
+            verifyResult('x_twap', price, await this.xTwap(verify.baseAsset, verify.quoteAsset, basePrices.length))
+        return price
+    }
+
+    /**
+     * Calculates statistics over the already fetched price records without a contract call
+     * @param {(Price|null)[]} prices - Price records
+     * @returns {Promise<PriceStats|null>} - Statistics, or null if there are no records
+     */
+    async computeStats(prices) {
+        const [{decimals}, resolution] = await Promise.all([this.client.getPriceFormatter(), this.resolution()])
+        return priceStats(prices, {decimals, resolution: resolution * 1000})
+    }
+
+    /**
+     * Returns statistics over the last asset price records
+     * @param {Asset} asset - Asset to get statistics for
+     * @param {number} records - Number of records to use
+     * @returns {Promise<PriceStats|null>} - Statistics, or null if there are no records
+     */
+    async stats(asset, records) {
+        return await this.computeStats(await this.prices(asset, records))
+    }
+
+    /**
+     * Returns statistics over the last cross asset price records
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @param {number} records - Number of records to use
+     * @returns {Promise<PriceStats|null>} - Statistics, or null if there are no records
+     */
+    async xStats(baseAsset, quoteAsset, records) {
+        return await this.computeStats(await this.xPrices(baseAsset, quoteAsset, records))
+    }
+
+    /**
+     * Reads prices for the timestamps within the range, aligned to the contract resolution
+     * @param {number} from - Range start in milliseconds, inclusive
+     * @param {number} to - Range end in milliseconds, inclusive
+     * @param {RangeOptions} options - Range options
+     * @param {function(number): Promise<Price>} read - Reads price for the timestamp
+     * @returns {AsyncGenerator<RangePoint>}
+     */
+    async *iterateRange(from, to, {step, chunkSize = 50, concurrency = 5}, read) {
+        const resolution = await this.resolution() * 1000
+        const stepMs = step ? Math.max(Math.round(step / resolution), 1) * resolution : resolution
+        const start = Math.ceil(from / resolution) * resolution
+        for (let chunkStart = start; chunkStart <= to; chunkStart += stepMs * chunkSize) {
+            const timestamps = []
+            for (let timestamp = chunkStart; timestamp <= to && timestamps.length < chunkSize; timestamp += stepMs)
+                timestamps.push(timestamp)
+            const prices = await mapConcurrent(timestamps, concurrency, read)
+            for (let i = 0; i < timestamps.length; i++)
+                yield {timestamp: timestamps[i], price: prices[i] || null}
+        }
+    }
+
+    /**
+     * Iterates over asset prices within the range. Use for long ranges to avoid loading all points at once
+     * @param {Asset} asset - Asset to get prices for
+     * @param {number} from - Range start in milliseconds, inclusive
+     * @param {number} to - Range end in milliseconds, inclusive
+     * @param {RangeOptions} [options] - Range options
+     * @returns {AsyncGenerator<RangePoint>}
+     */
+    iteratePriceRange(asset, from, to, options = {}) {
+        return this.iterateRange(from, to, options, timestamp => this.price(asset, timestamp))
+    }
+
+    /**
+     * Iterates over cross asset prices within the range. Use for long ranges to avoid loading all points at once
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @param {number} from - Range start in milliseconds, inclusive
+     * @param {number} to - Range end in milliseconds, inclusive
+     * @param {RangeOptions} [options] - Range options
+     * @returns {AsyncGenerator<RangePoint>}
+     */
+    iterateXPriceRange(baseAsset, quoteAsset, from, to, options = {}) {
+        return this.iterateRange(from, to, options, timestamp => this.xPrice(baseAsset, quoteAsset, timestamp))
+    }
+
+    /**
+     * Returns asset prices within the range. Missing prices are returned as null
+     * @param {Asset} asset - Asset to get prices for
+     * @param {number} from - Range start in milliseconds, inclusive
+     * @param {number} to - Range end in milliseconds, inclusive
+     * @param {RangeOptions} [options] - Range options
+     * @returns {Promise<RangePoint[]>}
+     */
+    async priceRange(asset, from, to, options = {}) {
+        const points = []
+        for await (const point of this.iteratePriceRange(asset, from, to, options))
+            points.push(point)
+        return points
+    }
+
+    /**
+     * Returns cross asset prices within the range. Missing prices are returned as null
+     * @param {Asset} baseAsset - Base asset
+     * @param {Asset} quoteAsset - Quote asset
+     * @param {number} from - Range start in milliseconds, inclusive
+     * @param {number} to - Range end in milliseconds, inclusive
+     * @param {RangeOptions} [options] - Range options
+     * @returns {Promise<RangePoint[]>}
+     */
+    async xPriceRange(baseAsset, quoteAsset, from, to, options = {}) {
+        const points = []
+        for await (const point of this.iterateXPriceRange(baseAsset, quoteAsset, from, to, options))
+            points.push(point)
+        return points
+    }
+}
+
+module.exports = OracleQuery
\ No newline at end of file
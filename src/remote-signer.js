@@ -0,0 +1,73 @@
+const {Keypair} = require('soroban-client')
+const Signer = require('./signer')
+const {SignatureError} = require('./errors')
+
+/**
+ * @typedef {import('soroban-client').Transaction} Transaction
+ */
+
+/**
+ * @typedef {Object} RemoteSignerOptions
+ * @property {string} url - Signer endpoint URL
+ * @property {string} publicKey - Public key of the remote signer
+ * @property {Object<string, string>} [headers] - Additional request headers, e.g. authorization
+ * @property {number} [timeout] - Request timeout in milliseconds. Default is 30000.
+ * @property {typeof fetch} [fetch] - Fetch implementation. Global fetch is used by default, it's available in Node.js 18+
+ */
+
+/**
+ * Requests signatures from the remote HTTP signer.
+ *
+ * The signer receives POST request with JSON body {publicKey, hash, transaction}, where hash is hex-encoded
+ * transaction hash and transaction is base64 XDR envelope, and responds with {signature} - base64 ed25519 signature.
+ * Returned signatures are verified before use.
+ */
+class RemoteSigner extends Signer {
+
+    /**
+     * @type {RemoteSignerOptions}
+     * @description Signer options
+     */
+    options
+
+    /**
+     * @param {RemoteSignerOptions} options - Signer options
+     */
+    constructor(options) {
+        super()
+        this.options = options
+    }
+
+    /**
+     * @returns {string}
+     */
+    publicKey() {
+        return this.options.publicKey
+    }
+
+    /**
+     * @param {Buffer} hash - Transaction hash
+     * @param {Transaction} [transaction] - Transaction being signed. Sent to the signer for inspection
+     * @returns {Promise<Buffer>}
+     */
+    async signHash(hash, transaction) {
+        const {url, publicKey, headers, timeout = 30000, fetch = globalThis.fetch} = this.options
+        if (typeof fetch !== 'function')
+            throw new SignatureError('Fetch API is not available, provide fetch implementation in the signer options', publicKey)
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json', ...headers},
+            body: JSON.stringify({publicKey, hash: hash.toString('hex'), transaction: transaction?.toXDR()}),
+            signal: AbortSignal.timeout(timeout)
+        })
+        if (!response.ok)
+            throw new SignatureError(`Remote signer responded with status ${response.status}`, publicKey)
+        const {signature} = await response.json()
+        const signatureBytes = Buffer.from(signature || '', 'base64')
+        if (signatureBytes.length !== 64 || !Keypair.fromPublicKey(publicKey).verify(hash, signatureBytes))
+            throw new SignatureError('Remote signer returned invalid signature', publicKey)
+        return signatureBytes
+    }
+}
+
+module.exports = RemoteSigner
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Enum rounding mode used for fixed-point price conversions
+ * @readonly
+ * @enum {string}
+ */
+const RoundingMode = {
+    /**
+     * Round towards zero
+     */
+    Down: 'down',
+    /**
+     * Round away from zero
+     */
+    Up: 'up',
+    /**
+     * Round towards negative infinity
+     */
+    Floor: 'floor',
+    /**
+     * Round towards positive infinity
+     */
+    Ceil: 'ceil',
+    /**
+     * Round towards the nearest neighbor, ties away from zero
+     */
+    HalfUp: 'halfUp',
+    /**
+     * Round towards the nearest neighbor, ties to the even neighbor
+     */
+    HalfEven: 'halfEven',
+    /**
+     * Throw if the value can't be represented without rounding
+     */
+    Unnecessary: 'unnecessary'
+}
+
+module.exports = RoundingMode
\ No newline at end of file
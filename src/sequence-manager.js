@@ -0,0 +1,136 @@
+const {Account} = require('soroban-client')
+
+/**
+ * @typedef {import('./client')} OracleClient
+ */
+
+/**
+ * Reserves sequence numbers locally, so consecutive transactions from the same source don't reload the account
+ * and don't race on its sequence. Optionally rotates transaction sources among channel accounts.
+ * Stellar Core accepts only one pending transaction per source account, so channels are required to keep
+ * multiple transactions in flight.
+ *
+ * A sequence is reserved for every transaction built with a managed source. Transactions that won't be submitted
+ * should be discarded with {@link OracleClient#discardTransaction}, so their sequences are reused.
+ */
+class SequenceManager {
+
+    /**
+     * @type {OracleClient}
+     * @description Oracle client instance
+     */
+    client
+
+    /**
+     * @type {string[]}
+     * @description Channel account IDs
+     */
+    channels
+
+    /**
+     * @type {Map<string, Promise<BigInt>>}
+     * @description Last reserved sequence by account ID
+     */
+    sequences = new Map()
+
+    /**
+     * @type {Map<string, Set<BigInt>>}
+     * @description Released sequences below the last reserved one by account ID. Reused before the new ones
+     */
+    released = new Map()
+
+    /**
+     * @type {number}
+     * @description Index of the next channel to use
+     */
+    channelIndex = 0
+
+    /**
+     * @param {OracleClient} client - Oracle client instance
+     * @param {string[]} [channels] - Channel account IDs
+     */
+    constructor(client, channels = []) {
+        this.client = client
+        this.channels = channels
+    }
+
+    /**
+     * Returns the next channel account ID in the rotation
+     * @returns {string|null} - Channel account ID, or null if there are no channels
+     */
+    nextChannel() {
+        if (!this.channels.length)
+            return null
+        const channel = this.channels[this.channelIndex]
+        this.channelIndex = (this.channelIndex + 1) % this.channels.length
+        return channel
+    }
+
+    /**
+     * Reserves the next sequence number, the lowest released one first.
+     * The account is loaded from the network on the first use and after resync
+     * @param {string} accountId - Valid Stellar account ID
+     * @returns {Promise<Account>} - Account object that produces a transaction with the reserved sequence
+     */
+    async reserve(accountId) {
+        const current = this.sequences.get(accountId)
+            || this.client.server.getAccount(accountId).then(account => BigInt(account.sequenceNumber()))
+        let sequence
+        const reserved = current.then(last => {
+            const gaps = this.released.get(accountId)
+            if (!gaps?.size) {
+                sequence = last + 1n
+                return sequence
+            }
+            sequence = [...gaps].reduce((min, gap) => gap < min ? gap : min)
+            gaps.delete(sequence)
+            return last
+        })
+        this.sequences.set(accountId, reserved)
+        reserved.catch(() => this.resync(accountId, reserved)) //reload on the next call if the account load failed
+        await reserved
+        return new Account(accountId, (sequence - 1n).toString()) //the builder increments the sequence
+    }
+
+    /**
+     * Returns the sequence number that wasn't used, e.g. if the transaction build failed or the transaction was discarded.
+     * The released sequence is reused by the next reservation
+     * @param {string} accountId - Valid Stellar account ID
+     * @param {BigInt|string} sequence - Reserved sequence number
+     */
+    release(accountId, sequence) {
+        const current = this.sequences.get(accountId)
+        if (!current)
+            return
+        sequence = BigInt(sequence)
+        const released = current.then(last => {
+            if (sequence > last)
+                return last //not reserved
+            let gaps = this.released.get(accountId)
+            if (!gaps) {
+                gaps = new Set()
+                this.released.set(accountId, gaps)
+            }
+            gaps.add(sequence)
+            while (gaps.delete(last)) //released sequences at the end are returned to the pool
+                last--
+            return last
+        })
+        this.sequences.set(accountId, released)
+        released.catch(() => this.resync(accountId, released))
+    }
+
+    /**
+     * Drops the locally reserved sequence, so the account is reloaded from the network on the next reservation
+     * @param {string} accountId - Valid Stellar account ID
+     * @param {Promise<BigInt>} [expected] - Drop only if the current state is still the expected one
+     */
+    resync(accountId, expected) {
+        if (expected && this.sequences.get(accountId) !== expected)
+            return
+        this.sequences.delete(accountId)
+        this.released.delete(accountId)
+    }
+}
+
+module.exports = SequenceManager
\ No newline at end of file
@@ -0,0 +1,171 @@
+const {Keypair, xdr} = require('soroban-client')
+const {SignatureError} = require('./errors')
+
+/**
+ * @typedef {import('./client')} OracleClient
+ * @typedef {import('./client').AccountSigner} AccountSigner
+ * @typedef {import('./client').SubmitOptions} SubmitOptions
+ * @typedef {import('./client').TransactionResponse} TransactionResponse
+ * @typedef {import('soroban-client').Transaction} Transaction
+ */
+
+/**
+ * @typedef {Object} SignatureCollectorOptions
+ * @property {AccountSigner[]} [signers] - Source account signers. Loaded from the network if not specified
+ * @property {number} [threshold] - Required signers weight. Medium threshold of the source account is used by default
+ */
+
+/**
+ * Collects signatures for the prepared transaction from multiple signers.
+ * Signatures can be added in any order, each one is verified against the transaction hash and the source account signers.
+ */
+class SignatureCollector {
+
+    /**
+     * @type {OracleClient}
+     * @description Oracle client instance
+     */
+    client
+
+    /**
+     * @type {Transaction}
+     * @description Prepared transaction
+     */
+    transaction
+
+    /**
+     * @type {Buffer}
+     * @description Transaction hash
+     */
+    hash
+
+    /**
+     * @type {AccountSigner[]|null}
+     * @description Source account signers. Null until loaded
+     */
+    signers = null
+
+    /**
+     * @type {number|null}
+     * @description Required signers weight. Null until loaded
+     */
+    threshold = null
+
+    /**
+     * @type {Map<string, xdr.DecoratedSignature>}
+     * @description Verified signatures by signer public key
+     */
+    collected = new Map()
+
+    /**
+     * @param {OracleClient} client - Oracle client instance
+     * @param {Transaction} transaction - Prepared transaction
+     * @param {SignatureCollectorOptions} [options] - Collector options
+     */
+    constructor(client, transaction, {signers, threshold} = {}) {
+        this.client = client
+        this.transaction = transaction
+        this.hash = transaction.hash()
+        if (signers)
+            this.signers = signers
+        if (threshold !== undefined)
+            this.threshold = threshold
+    }
+
+    /**
+     * Loads source account signers and threshold if they weren't provided
+     * @returns {Promise<SignatureCollector>}
+     */
+    async load() {
+        if (this.signers && this.threshold !== null)
+            return this
+        const {signers, thresholds} = await this.client.getAccountSigners(this.transaction.source)
+        if (!this.signers)
+            this.signers = signers
+        if (this.threshold === null)
+            this.threshold = Math.max(thresholds.med, 1)
+        return this
+    }
+
+    /**
+     * Verifies and adds the signature. Signatures that were already added are ignored
+     * @param {xdr.DecoratedSignature|Buffer|string} signature - Decorated signature, or raw signature (Buffer or base64 string)
+     * @param {string} [publicKey] - Signer public key. If not specified, the signer is resolved by the signature hint
+     * @returns {Promise<boolean>} - True if the signature was added, false if it's a duplicate
+     */
+    async addSignature(signature, publicKey) {
+        await this.load()
+        const {hint, signatureBytes} = parseSignature(signature)
+        const candidates = this.signers.filter(signer => {
+            if (publicKey)
+                return signer.key === publicKey
+            return !hint || Keypair.fromPublicKey(signer.key).signatureHint().equals(hint)
+        })
+        if (!candidates.length)
+            throw new SignatureError(publicKey ? `${publicKey} is not a signer of the source account` : 'Signature does not match any signer of the source account', publicKey)
+        const signer = candidates.find(candidate => Keypair.fromPublicKey(candidate.key).verify(this.hash, signatureBytes))
+        if (!signer)
+            throw new SignatureError('Invalid transaction signature', publicKey)
+        if (this.collected.has(signer.key))
+            return false
+        const keypair = Keypair.fromPublicKey(signer.key)
+        this.collected.set(signer.key, new xdr.DecoratedSignature({hint: keypair.signatureHint(), signature: signatureBytes}))
+        return true
+    }
+
+    /**
+     * @type {number}
+     * @description Total weight of the collected signatures
+     */
+    get weight() {
+        if (!this.signers)
+            return 0
+        return this.signers
+            .filter(signer => this.collected.has(signer.key))
+            .reduce((total, signer) => total + signer.weight, 0)
+    }
+
+    /**
+     * @type {boolean}
+     * @description Whether the collected signatures weight meets the threshold
+     */
+    get isThresholdMet() {
+        return this.threshold !== null && this.weight >= this.threshold
+    }
+
+    /**
+     * @type {xdr.DecoratedSignature[]}
+     * @description Collected signatures
+     */
+    get signatures() {
+        return [...this.collected.values()]
+    }
+
+    /**
+     * Submits the transaction with the collected signatures
+     * @param {SubmitOptions} [options] - Submit options
+     * @returns {Promise<TransactionResponse>}
+     */
+    async submit(options) {
+        await this.load()
+        if (!this.isThresholdMet)
+            throw new SignatureError(`Signatures weight ${this.weight} is below the threshold ${this.threshold}`)
+        return await this.client.submitTransaction(this.transaction, this.signatures, options)
+    }
+}
+
+/**
+ * @param {xdr.DecoratedSignature|Buffer|string} signature - Decorated or raw signature
+ * @returns {{hint: Buffer|null, signatureBytes: Buffer}}
+ */
+function parseSignature(signature) {
+    if (signature instanceof xdr.DecoratedSignature)
+        return {hint: signature.hint(), signatureBytes: signature.signature()}
+    if (typeof signature === 'string')
+        signature = Buffer.from(signature, 'base64')
+    if (!Buffer.isBuffer(signature) || signature.length !== 64)
+        throw new SignatureError('Signature must be a decorated signature or 64 bytes raw ed25519 signature')
+    return {hint: null, signatureBytes: signature}
+}
+
+module.exports = SignatureCollector
\ No newline at end of file
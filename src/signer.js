@@ -0,0 +1,41 @@
+const {Keypair, xdr} = require('soroban-client')
+
+/**
+ * @typedef {import('soroban-client').Transaction} Transaction
+ */
+
+/**
+ * Base class for transaction signers. Implementations must provide publicKey() and signHash()
+ */
+class Signer {
+
+    /**
+     * @returns {string|Promise<string>} - Signer public key
+     */
+    publicKey() {
+        throw new Error('Not implemented')
+    }
+
+    /**
+     * Signs the transaction hash
+     * @param {Buffer} hash - Transaction hash
+     * @param {Transaction} [transaction] - Transaction being signed
+     * @returns {Promise<Buffer>} - Raw ed25519 signature
+     */
+    async signHash() {
+        throw new Error('Not implemented')
+    }
+
+    /**
+     * Signs the transaction
+     * @param {Transaction} transaction - Transaction to sign
+     * @returns {Promise<xdr.DecoratedSignature>}
+     */
+    async signTransaction(transaction) {
+        const publicKey = await this.publicKey()
+        const signature = await this.signHash(transaction.hash(), transaction)
+        return new xdr.DecoratedSignature({hint: Keypair.fromPublicKey(publicKey).signatureHint(), signature})
+    }
+}
+
+module.exports = Signer
\ No newline at end of file
@@ -0,0 +1,129 @@
+const {StrKey} = require('soroban-client')
+const AssetType = require('../asset-type')
+const {AssetEncodingError} = require('../errors')
+const {parseClassicAsset, normalizeAsset} = require('./stellar-asset-helper')
+
+/**
+ * @typedef {import('../client').Asset} Asset
+ */
+
+const symbolPattern = /^[a-zA-Z0-9_]{1,32}$/
+
+/**
+ * @param {AssetType} type - Asset type
+ * @returns {string|undefined} - Lowercase asset type name used as a prefix in the asset notation
+ */
+function getAssetTypePrefix(type) {
+    return Object.keys(AssetType).find(key => AssetType[key] === type)?.toLowerCase()
+}
+
+/**
+ * Checks asset code against the contract limits
+ * @param {Asset} asset - Asset object
+ * @returns {string|null} - Validation error description, or null if the asset is valid
+ */
+function getAssetValidationError(asset) {
+    switch (asset?.type) {
+        case AssetType.Stellar:
+            if (StrKey.isValidContract(asset.code || '') || parseClassicAsset(asset.code))
+                return null
+            return 'code must be a valid contract address, XLM or CODE:ISSUER'
+        case AssetType.Generic:
+            if (symbolPattern.test(asset.code || ''))
+                return null
+            return 'code must be 1-32 characters long and contain only a-z, A-Z, 0-9 and _'
+        default:
+            return `unknown asset type ${asset?.type}`
+    }
+}
+
+/**
+ * Formats asset for the error messages, never throws
+ * @param {any} asset - Asset object
+ * @returns {string}
+ */
+function describeAsset(asset) {
+    if (!asset || typeof asset !== 'object')
+        return String(asset)
+    return `${getAssetTypePrefix(asset.type) || asset.type}:${asset.code}`
+}
+
+/**
+ * Converts asset to the string notation, e.g. stellar:CCS4..., generic:USD.
+ * The notation is canonical only if the network is provided, otherwise classic assets are kept as is (stellar:XLM)
+ * @param {Asset} asset - Asset object
+ * @param {string} [network] - Stellar network passphrase. Classic assets are converted to the Stellar Asset Contract ID if set
+ * @returns {string}
+ */
+function assetToString(asset, network) {
+    if (network)
+        asset = normalizeAsset(asset, network)
+    const error = getAssetValidationError(asset)
+    if (error)
+        throw new AssetEncodingError(`Invalid asset ${describeAsset(asset)}: ${error}`, asset)
+    return `${getAssetTypePrefix(asset.type)}:${asset.code}`
+}
+
+/**
+ * Parses asset string notation, e.g. stellar:CCS4..., stellar:XLM, stellar:USDC:GA5Z..., generic:USD
+ * @param {string} value - Asset string
+ * @returns {Asset}
+ */
+function parseAsset(value) {
+    const separatorIndex = typeof value === 'string' ? value.indexOf(':') : -1
+    if (separatorIndex < 0)
+        throw new AssetEncodingError(`Invalid asset string: ${value}`, value)
+    const prefix = value.substring(0, separatorIndex).toLowerCase()
+    const type = Object.keys(AssetType).find(key => key.toLowerCase() === prefix)
+    if (!type)
+        throw new AssetEncodingError(`Invalid asset string ${value}: unknown asset type ${prefix}`, value)
+    const asset = {type: AssetType[type], code: value.substring(separatorIndex + 1)}
+    const error = getAssetValidationError(asset)
+    if (error)
+        throw new AssetEncodingError(`Invalid asset string ${value}: ${error}`, value)
+    return asset
+}
+
+/**
+ * @param {Asset} a - First asset
+ * @param {Asset} b - Second asset
+ * @param {string} [network] - Stellar network passphrase. Required to match classic assets with their Stellar Asset Contracts
+ * @returns {boolean} - False if any of the assets is missing
+ */
+function assetsEqual(a, b, network) {
+    if (!a || !b)
+        return false
+    if (network) {
+        a = normalizeAsset(a, network)
+        b = normalizeAsset(b, network)
+    }
+    return a.type === b.type && a.code === b.code
+}
+
+/**
+ * Compares assets by type, then by code. Can be used to sort assets
+ * @param {Asset} a - First asset
+ * @param {Asset} b - Second asset
+ * @param {string} [network] - Stellar network passphrase. Classic assets are compared by the Stellar Asset Contract ID if set
+ * @returns {number}
+ */
+function compareAssets(a, b, network) {
+    if (network) {
+        a = normalizeAsset(a, network)
+        b = normalizeAsset(b, network)
+    }
+    if (a.type !== b.type)
+        return a.type - b.type
+    if (a.code === b.code)
+        return 0
+    return a.code < b.code ? -1 : 1
+}
+
+module.exports = {
+    getAssetValidationError,
+    describeAsset,
+    assetToString,
+    parseAsset,
+    assetsEqual,
+    compareAssets
+}
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted)
+            return reject(signal.reason)
+        const onAbort = () => {
+            clearTimeout(timer)
+            reject(signal.reason)
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort)
+            resolve()
+        }, ms)
+        signal?.addEventListener('abort', onAbort, {once: true})
+    })
+}
+
+/**
+ * Maps items with the async function, running at most `concurrency` calls at a time
+ * @template T, R
+ * @param {T[]} items - Items to map
+ * @param {number} concurrency - Max number of concurrent calls
+ * @param {function(T, number): Promise<R>} fn - Async mapping function
+ * @returns {Promise<R[]>} - Results in the order of items
+ */
+async function mapConcurrent(items, concurrency, fn) {
+    const results = new Array(items.length)
+    let next = 0
+    async function worker() {
+        while (next < items.length) {
+            const index = next++
+            results[index] = await fn(items[index], index)
+        }
+    }
+    const workers = Array.from({length: Math.min(Math.max(concurrency, 1), items.length)}, () => worker())
+    await Promise.all(workers)
+    return results
+}
+
+module.exports = {
+    delay,
+    mapConcurrent
+}
\ No newline at end of file
@@ -0,0 +1,94 @@
+const {assetToString, assetsEqual} = require('./asset-helper')
+const {normalizeAsset} = require('./stellar-asset-helper')
+const {ConfigurationError} = require('../errors')
+
+/**
+ * @typedef {import('../client').Asset} Asset
+ */
+
+/**
+ * Desired oracle configuration. Fields that are not set are left as is
+ * @typedef {Object} DesiredConfig
+ * @property {string} [admin] - Valid Stellar account ID
+ * @property {Asset[]} [assets] - Assets that must be registered. The contract can't remove assets, extra registered assets are reported as a conflict
+ * @property {number} [period] - Redeem period in milliseconds
+ * @property {Asset} [base] - Expected base asset. Fixed in the contract build
+ * @property {number} [decimals] - Expected price decimals. Fixed in the contract build
+ * @property {number} [resolution] - Expected price resolution in seconds. Fixed in the contract build
+ */
+
+/**
+ * @typedef {Object} ConfigState
+ * @property {string|null} admin - Admin account ID. Null if the contract is not configured
+ * @property {Asset[]} assets - Registered assets in the contract order
+ * @property {number|null} period - Redeem period in milliseconds. Null if the contract is not configured
+ * @property {Asset} base - Base asset
+ * @property {number} decimals - Price decimals
+ * @property {number} resolution - Price resolution in seconds
+ */
+
+/**
+ * Difference between the current and the desired configuration that can't be resolved by the contract calls
+ * @typedef {Object} ConfigConflict
+ * @property {string} field - Configuration field name
+ * @property {any} current - Current value. Extra registered assets for the assets field
+ * @property {any} desired - Desired value
+ */
+
+/**
+ * @typedef {Object} ConfigDiff
+ * @property {boolean} initialize - Whether the contract must be configured with the config call
+ * @property {Asset[]} addAssets - Assets to register
+ * @property {{from: number|null, to: number}|null} period - Period change. Null if the period doesn't change
+ * @property {ConfigConflict[]} conflicts - Fields that differ but can't be changed
+ */
+
+/**
+ * Computes the changes required to reach the desired configuration
+ * @param {ConfigState} current - Current contract state
+ * @param {DesiredConfig} desired - Desired configuration
+ * @param {string} network - Stellar network passphrase
+ * @returns {ConfigDiff}
+ */
+function diffConfig(current, desired, network) {
+    const getKey = asset => assetToString(normalizeAsset(asset, network))
+    const conflicts = []
+    for (const field of ['decimals', 'resolution'])
+        if (desired[field] !== undefined && desired[field] !== current[field])
+            conflicts.push({field, current: current[field], desired: desired[field]})
+    if (desired.base !== undefined && !assetsEqual(normalizeAsset(desired.base, network), current.base))
+        conflicts.push({field: 'base', current: current.base, desired: desired.base})
+
+    if (current.admin === null) {
+        const missing = ['admin', 'assets', 'period'].filter(field => field === 'period' ? desired.period === undefined : !desired[field])
+        if (missing.length)
+            throw new ConfigurationError(`Admin, assets and period are required to configure the contract, missing: ${missing.join(', ')}`, missing)
+        return {initialize: true, addAssets: [], period: null, conflicts}
+    }
+
+    if (desired.admin !== undefined && desired.admin !== current.admin)
+        conflicts.push({field: 'admin', current: current.admin, desired: desired.admin})
+    let addAssets = []
+    if (desired.assets) {
+        const registered = new Set(current.assets.map(getKey))
+        const desiredKeys = new Set(desired.assets.map(getKey))
+        addAssets = desired.assets.filter(asset => {
+            const key = getKey(asset)
+            if (registered.has(key))
+                return false
+            registered.add(key) //skip duplicates
+            return true
+        })
+        const extraAssets = current.assets.filter(asset => !desiredKeys.has(getKey(asset)))
+        if (extraAssets.length)
+            conflicts.push({field: 'assets', current: extraAssets, desired: desired.assets})
+    }
+    const period = desired.period !== undefined && Number(desired.period) !== current.period
+        ? {from: current.period, to: Number(desired.period)}
+        : null
+    return {initialize: false, addAssets, period, conflicts}
+}
+
+module.exports = {
+    diffConfig
+}
\ No newline at end of file
@@ -0,0 +1,100 @@
+const RoundingMode = require('../rounding-mode')
+
+const decimalPattern = /^([+-]?)(\d*)(?:\.(\d*))?$/
+
+/**
+ * @param {number} decimals - Number of decimal places
+ * @returns {BigInt}
+ */
+function pow10(decimals) {
+    if (!Number.isInteger(decimals) || decimals < 0)
+        throw new RangeError(`Invalid decimals: ${decimals}`)
+    return 10n ** BigInt(decimals)
+}
+
+/**
+ * Divides value and rounds the quotient according to the rounding mode
+ * @param {BigInt} value - Dividend
+ * @param {BigInt} divisor - Positive divisor
+ * @param {RoundingMode} rounding - Rounding mode
+ * @returns {BigInt}
+ */
+function divRound(value, divisor, rounding) {
+    const quotient = value / divisor
+    const remainder = value % divisor
+    if (remainder === 0n)
+        return quotient
+    const sign = value < 0n ? -1n : 1n
+    const doubledRemainder = (remainder < 0n ? -remainder : remainder) * 2n
+    switch (rounding) {
+        case RoundingMode.Down:
+            return quotient
+        case RoundingMode.Up:
+            return quotient + sign
+        case RoundingMode.Floor:
+            return sign < 0n ? quotient - 1n : quotient
+        case RoundingMode.Ceil:
+            return sign > 0n ? quotient + 1n : quotient
+        case RoundingMode.HalfUp:
+            return doubledRemainder >= divisor ? quotient + sign : quotient
+        case RoundingMode.HalfEven:
+            if (doubledRemainder === divisor)
+                return quotient % 2n === 0n ? quotient : quotient + sign
+            return doubledRemainder > divisor ? quotient + sign : quotient
+        case RoundingMode.Unnecessary:
+            throw new RangeError(`Rounding is required to divide ${value} by ${divisor}`)
+        default:
+            throw new TypeError(`Unknown rounding mode: ${rounding}`)
+    }
+}
+
+/**
+ * Converts fixed-point value to the decimal string
+ * @param {BigInt} value - Fixed-point value
+ * @param {number} decimals - Number of decimal places in the value
+ * @param {{precision?: number, rounding?: RoundingMode, trimZeros?: boolean}} [options] - Formatting options.
+ * Precision is the max number of decimal places in the output (defaults to decimals). Rounding applies when precision is less than decimals.
+ * @returns {string}
+ */
+function toDecimalString(value, decimals, {precision = decimals, rounding = RoundingMode.HalfUp, trimZeros = true} = {}) {
+    value = BigInt(value)
+    if (precision < decimals) {
+        value = divRound(value, pow10(decimals - precision), rounding)
+        decimals = precision
+    }
+    const divisor = pow10(decimals)
+    const negative = value < 0n
+    const abs = negative ? -value : value
+    const integerPart = (abs / divisor).toString()
+    let fractionalPart = decimals > 0 ? (abs % divisor).toString().padStart(decimals, '0') : ''
+    if (trimZeros)
+        fractionalPart = fractionalPart.replace(/0+$/, '')
+    return (negative ? '-' : '') + integerPart + (fractionalPart ? '.' + fractionalPart : '')
+}
+
+/**
+ * Converts decimal string to the fixed-point value
+ * @param {string} value - Decimal string, e.g. "-12.345"
+ * @param {number} decimals - Number of decimal places in the result
+ * @param {RoundingMode} [rounding] - Rounding mode for values with more decimal places than allowed. Throws by default.
+ * @returns {BigInt}
+ */
+function fromDecimalString(value, decimals, rounding = RoundingMode.Unnecessary) {
+    const match = decimalPattern.exec(typeof value === 'string' ? value.trim() : '')
+    if (!match || !(match[2] || match[3]))
+        throw new TypeError(`Invalid decimal string: ${value}`)
+    const [, sign, integerPart, fractionalPart = ''] = match
+    const scale = Math.max(fractionalPart.length, decimals)
+    let res = BigInt((integerPart || '0') + fractionalPart.padEnd(scale, '0'))
+    if (sign === '-')
+        res = -res
+    if (scale > decimals) //sign is applied before rounding to make floor and ceil modes work correctly
+        res = divRound(res, pow10(scale - decimals), rounding)
+    return res
+}
+
+module.exports = {
+    divRound,
+    toDecimalString,
+    fromDecimalString
+}
\ No newline at end of file
@@ -0,0 +1,88 @@
+const {randomBytes} = require('crypto')
+const {Address, Operation, StrKey, xdr, hash} = require('soroban-client')
+
+/**
+ * @param {Buffer|Uint8Array|string} [salt] - 32 bytes salt, or hex string. Random if not set
+ * @returns {Buffer}
+ */
+function normalizeSalt(salt) {
+    if (salt === undefined || salt === null)
+        return randomBytes(32)
+    const buffer = typeof salt === 'string' ? Buffer.from(salt, 'hex') : Buffer.from(salt)
+    if (buffer.length !== 32)
+        throw new RangeError('Salt must be 32 bytes long')
+    return buffer
+}
+
+/**
+ * @param {string} deployer - Deployer account ID
+ * @param {Buffer} salt - 32 bytes salt
+ * @returns {xdr.ContractIdPreimage}
+ */
+function buildContractIdPreimage(deployer, salt) {
+    return xdr.ContractIdPreimage.contractIdPreimageFromAddress(new xdr.ContractIdPreimageFromAddress({
+        address: new Address(deployer).toScAddress(),
+        salt
+    }))
+}
+
+/**
+ * Derives the ID of the contract deployed by the account. The ID is known before the deployment
+ * @param {string} network - Stellar network passphrase
+ * @param {string} deployer - Deployer account ID
+ * @param {Buffer} salt - 32 bytes salt
+ * @returns {string} - Contract ID
+ */
+function getDeployedContractId(network, deployer, salt) {
+    const preimage = xdr.HashIdPreimage.envelopeTypeContractId(new xdr.HashIdPreimageContractId({
+        networkId: hash(Buffer.from(network)),
+        contractIdPreimage: buildContractIdPreimage(deployer, salt)
+    }))
+    return StrKey.encodeContract(hash(preimage.toXDR()))
+}
+
+/**
+ * @param {Buffer} wasm - Contract WASM
+ * @returns {xdr.LedgerKey} - Ledger key of the uploaded WASM
+ */
+function getWasmLedgerKey(wasm) {
+    return xdr.LedgerKey.contractCode(new xdr.LedgerKeyContractCode({
+        hash: hash(wasm),
+        bodyType: xdr.ContractEntryBodyType.dataEntry()
+    }))
+}
+
+/**
+ * @param {Buffer} wasm - Contract WASM
+ * @returns {xdr.Operation}
+ */
+function buildUploadWasmOperation(wasm) {
+    return Operation.invokeHostFunction({
+        func: xdr.HostFunction.hostFunctionTypeUploadContractWasm(wasm),
+        auth: []
+    })
+}
+
+/**
+ * @param {string} deployer - Deployer account ID
+ * @param {Buffer} wasmHash - Hash of the uploaded WASM
+ * @param {Buffer} salt - 32 bytes salt
+ * @returns {xdr.Operation}
+ */
+function buildCreateContractOperation(deployer, wasmHash, salt) {
+    return Operation.invokeHostFunction({
+        func: xdr.HostFunction.hostFunctionTypeCreateContract(new xdr.CreateContractArgs({
+            contractIdPreimage: buildContractIdPreimage(deployer, salt),
+            executable: xdr.ContractExecutable.contractExecutableWasm(wasmHash)
+        })),
+        auth: []
+    })
+}
+
+module.exports = {
+    normalizeSalt,
+    getDeployedContractId,
+    getWasmLedgerKey,
+    buildUploadWasmOperation,
+    buildCreateContractOperation
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+const {xdr} = require('soroban-client')
+const {OracleContractError, SimulationError, TransactionFailedError} = require('../errors')
+
+/**
+ * @typedef {import('soroban-client').SorobanRpc.SimulateTransactionResponse} SimulateTransactionResponse
+ * @typedef {import('soroban-client').SorobanRpc.GetTransactionResponse} TransactionResponse
+ */
+
+const contractErrorPattern = /Error\(Contract, #(\d+)\)/
+
+/**
+ * Looks for the contract error value in the diagnostic events
+ * @param {xdr.DiagnosticEvent[]} diagnosticEvents - Diagnostic events
+ * @returns {number|null} - Contract error code
+ */
+function findContractErrorCode(diagnosticEvents) {
+    for (const diagnosticEvent of diagnosticEvents) {
+        const body = diagnosticEvent.event().body().value()
+        for (const scVal of [...body.topics(), body.data()]) {
+            if (scVal.switch().name !== 'scvError')
+                continue
+            const error = scVal.error()
+            if (error.type().name === 'sceContract')
+                return error.code().value
+        }
+    }
+    return null
+}
+
+/**
+ * @param {string[]} eventsXdr - Base64-encoded diagnostic events
+ * @returns {number|null} - Contract error code
+ */
+function findContractErrorCodeInEventsXdr(eventsXdr) {
+    try {
+        return findContractErrorCode(eventsXdr.map(e => xdr.DiagnosticEvent.fromXDR(e, 'base64')))
+    } catch (e) {
+        return null //contract codes not listed in ScErrorCode can't be decoded
+    }
+}
+
+/**
+ * @param {string} text - Diagnostic message
+ * @returns {number|null} - Contract error code
+ */
+function findContractErrorCodeInText(text) {
+    const match = contractErrorPattern.exec(text)
+    return match ? parseInt(match[1], 10) : null
+}
+
+/**
+ * Converts the failed simulation response to the error
+ * @param {SimulateTransactionResponse} simulation - Simulation response
+ * @returns {OracleContractError|SimulationError}
+ */
+function getSimulationError(simulation) {
+    const details = typeof simulation.error === 'string'
+        ? simulation.error
+        : simulation.error?.message || JSON.stringify(simulation.error)
+    const code = findContractErrorCodeInText(details) ?? findContractErrorCodeInEventsXdr(simulation.events || [])
+    if (code !== null)
+        return new OracleContractError(code)
+    return new SimulationError(details)
+}
+
+/**
+ * Converts the failed transaction response to the error
+ * @param {string} hash - Transaction hash
+ * @param {TransactionResponse} response - Transaction response
+ * @returns {OracleContractError|TransactionFailedError}
+ */
+function getTransactionError(hash, response) {
+    let code = null
+    if (response.resultMetaXdr) {
+        try {
+            const sorobanMeta = xdr.TransactionMeta.fromXDR(response.resultMetaXdr, 'base64').value().sorobanMeta()
+            if (sorobanMeta)
+                code = findContractErrorCode(sorobanMeta.diagnosticEvents())
+        } catch (e) {
+            //contract codes not listed in ScErrorCode can't be decoded
+        }
+    }
+    if (code !== null)
+        return new OracleContractError(code, hash)
+    return new TransactionFailedError(hash, response.resultXdr, response.resultMetaXdr)
+}
+
+module.exports = {
+    getSimulationError,
+    getTransactionError
+}
\ No newline at end of file
@@ -0,0 +1,199 @@
+const {Address, xdr, scValToNative} = require('soroban-client')
+const AssetType = require('../asset-type')
+const {parseXdrAssetResult, parseXdrPriceResult} = require('./scval-helper')
+const {hiLoToI128} = require('./i128-helper')
+
+/**
+ * @typedef {import('soroban-client').SorobanRpc.EventResponse} EventResponse
+ * @typedef {import('../client').Asset} Asset
+ */
+
+/**
+ * @typedef {Object} OracleEvent
+ * @property {string|null} type - Event name, the first topic if it's a symbol
+ * @property {any[]} topics - Decoded topics
+ * @property {any} data - Decoded event data
+ * @property {string} contractId - Contract that emitted the event
+ * @property {number} ledger - Ledger sequence
+ * @property {string} ledgerClosedAt - Ledger close time, ISO 8601 string
+ * @property {string} id - Event ID
+ * @property {string} pagingToken - Cursor to resume reading after this event
+ * @property {boolean} inSuccessfulContractCall - Whether the contract call succeeded
+ */
+
+/**
+ * Prices update. Topics: price symbol and u64 timestamp, data: i128 prices.
+ * Timestamp is in milliseconds, prices are in the order of the registered assets, 0 for the assets without update
+ * @typedef {OracleEvent & {type: 'price', timestamp: number, prices: BigInt[]}} PriceEvent
+ */
+
+/**
+ * Assets added to the contract. Topics: assets symbol, data: added assets
+ * @typedef {OracleEvent & {type: 'assets', assets: Asset[]}} AssetsEvent
+ */
+
+/**
+ * Retention period change. Topics: period symbol, data: u64 period in milliseconds
+ * @typedef {OracleEvent & {type: 'period', period: number}} PeriodEvent
+ */
+
+/**
+ * @param {xdr.ScVal[]} items - Vector items
+ * @returns {boolean}
+ */
+function isAssetVec(items) {
+    if (items.length !== 2 || items[0].switch().name !== 'scvSymbol')
+        return false
+    switch (AssetType[items[0].sym().toString()]) {
+        case AssetType.Stellar:
+            return items[1].switch().name === 'scvAddress' && items[1].address().switch().name === 'scAddressTypeContract'
+        case AssetType.Generic:
+            return items[1].switch().name === 'scvSymbol'
+        default:
+            return false
+    }
+}
+
+/**
+ * @param {xdr.ScMapEntry[]} entries - Map entries
+ * @returns {boolean}
+ */
+function isPriceMap(entries) {
+    return entries.length === 2
+        && entries[0].key().switch().name === 'scvSymbol' && entries[0].key().sym().toString() === 'price'
+        && entries[1].key().switch().name === 'scvSymbol' && entries[1].key().sym().toString() === 'timestamp'
+}
+
+/**
+ * Converts contract value to JS value. Contract assets and prices are converted to Asset and Price objects,
+ * addresses to strings, integers above 32 bits to BigInt
+ * @param {xdr.ScVal} scVal - Contract value
+ * @param {string} [network] - Stellar network passphrase. Used to resolve registered classic assets
+ * @returns {any}
+ */
+function decodeScVal(scVal, network) {
+    switch (scVal.switch().name) {
+        case 'scvVec': {
+            const items = scVal.vec() || []
+            if (isAssetVec(items))
+                return parseXdrAssetResult(items, network)
+            return items.map(item => decodeScVal(item, network))
+        }
+        case 'scvMap': {
+            const entries = scVal.map() || []
+            if (isPriceMap(entries))
+                return parseXdrPriceResult(entries)
+            return Object.fromEntries(entries.map(entry => [String(decodeScVal(entry.key(), network)), decodeScVal(entry.val(), network)]))
+        }
+        case 'scvAddress':
+            return Address.fromScVal(scVal).toString()
+        default:
+            return scValToNative(scVal)
+    }
+}
+
+/**
+ * @param {xdr.ScVal} scVal - Contract value
+ * @returns {boolean}
+ */
+function isU64(scVal) {
+    return scVal?.switch().name === 'scvU64'
+}
+
+/**
+ * @param {OracleEvent} event - Generic event
+ * @param {xdr.ScVal[]} topics - Raw topics
+ * @param {xdr.ScVal} data - Raw data
+ * @returns {PriceEvent|null}
+ */
+function decodePriceEvent(event, topics, data) {
+    const prices = data.switch().name === 'scvVec' ? data.vec() || [] : null
+    if (topics.length !== 2 || !isU64(topics[1]) || !prices?.every(price => price.switch().name === 'scvI128'))
+        return null
+    return {
+        ...event,
+        timestamp: Number(event.topics[1]),
+        prices: prices.map(price => hiLoToI128(price.i128().hi(), price.i128().lo()))
+    }
+}
+
+/**
+ * @param {OracleEvent} event - Generic event
+ * @param {xdr.ScVal[]} topics - Raw topics
+ * @param {xdr.ScVal} data - Raw data
+ * @returns {AssetsEvent|null}
+ */
+function decodeAssetsEvent(event, topics, data) {
+    const assets = data.switch().name === 'scvVec' ? data.vec() || [] : null
+    if (topics.length !== 1 || !assets?.every(asset => asset.switch().name === 'scvVec' && isAssetVec(asset.vec() || [])))
+        return null
+    return {...event, assets: event.data}
+}
+
+/**
+ * @param {OracleEvent} event - Generic event
+ * @param {xdr.ScVal[]} topics - Raw topics
+ * @param {xdr.ScVal} data - Raw data
+ * @returns {PeriodEvent|null}
+ */
+function decodePeriodEvent(event, topics, data) {
+    if (topics.length !== 1 || !isU64(data))
+        return null
+    return {...event, period: Number(event.data)}
+}
+
+/**
+ * Typed decoders by event type. Events that don't match the expected layout are returned as generic events
+ * @type {Object<string, function(OracleEvent, xdr.ScVal[], xdr.ScVal): OracleEvent|null>}
+ */
+const eventDecoders = {
+    price: decodePriceEvent,
+    assets: decodeAssetsEvent,
+    period: decodePeriodEvent
+}
+
+/**
+ * Decodes contract event returned by the RPC server. Known oracle events are decoded to {@link PriceEvent},
+ * {@link AssetsEvent} and {@link PeriodEvent}, other events have only the generic {@link OracleEvent} properties
+ * @param {EventResponse} event - Raw event
+ * @param {string} [network] - Stellar network passphrase. Used to resolve registered classic assets
+ * @returns {OracleEvent|PriceEvent|AssetsEvent|PeriodEvent}
+ */
+function decodeEvent(event, network) {
+    const topics = event.topic.map(topic => xdr.ScVal.fromXDR(topic, 'base64'))
+    const data = xdr.ScVal.fromXDR(event.value.xdr, 'base64')
+    const decoded = {
+        type: topics[0]?.switch().name === 'scvSymbol' ? topics[0].sym().toString() : null,
+        topics: topics.map(topic => decodeScVal(topic, network)),
+        data: decodeScVal(data, network),
+        contractId: event.contractId,
+        ledger: Number(event.ledger),
+        ledgerClosedAt: event.ledgerClosedAt,
+        id: event.id,
+        pagingToken: event.pagingToken,
+        inSuccessfulContractCall: event.inSuccessfulContractCall
+    }
+    const decoder = Object.hasOwn(eventDecoders, decoded.type) ? eventDecoders[decoded.type] : null
+    return decoder?.(decoded, topics, data) || decoded
+}
+
+/**
+ * Converts topic filter segment to the RPC format
+ * @param {string|xdr.ScVal} segment - '*' wildcard, symbol string, or contract value
+ * @returns {string} - '*' or base64 XDR
+ */
+function encodeTopicSegment(segment) {
+    if (segment === '*')
+        return segment
+    const scVal = typeof segment === 'string' ? xdr.ScVal.scvSymbol(segment) : segment
+    return scVal.toXDR('base64')
+}
+
+module.exports = {
+    decodeScVal,
+    decodeEvent,
+    decodePriceEvent,
+    decodeAssetsEvent,
+    decodePeriodEvent,
+    encodeTopicSegment
+}
\ No newline at end of file
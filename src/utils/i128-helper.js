@@ -1,29 +1,171 @@
 const TWO_POW_64 = 2n ** 64n
+const MASK_64 = TWO_POW_64 - 1n
+
+const I64_MIN = -(2n ** 63n)
+const I64_MAX = 2n ** 63n - 1n
+const U64_MAX = MASK_64
+const I128_MIN = -(2n ** 127n)
+const I128_MAX = 2n ** 127n - 1n
+const U128_MAX = 2n ** 128n - 1n
+const I256_MIN = -(2n ** 255n)
+const I256_MAX = 2n ** 255n - 1n
+const U256_MAX = 2n ** 256n - 1n
+
+/**
+ * @param {BigInt} value - Value to check
+ * @param {BigInt} min - Min allowed value
+ * @param {BigInt} max - Max allowed value
+ * @param {string} type - Type name for the error message
+ * @returns {BigInt}
+ */
+function ensureRange(value, min, max, type) {
+    value = BigInt(value)
+    if (value < min || value > max)
+        throw new RangeError(`Value ${value} is out of ${type} range`)
+    return value
+}
+
+/**
+ * Splits value to 64-bit chunks, starting from the most significant one
+ * @param {BigInt} value - Value to split
+ * @param {number} chunks - Number of chunks
+ * @returns {BigInt[]} - Chunks, the most significant one is signed if value is negative
+ */
+function splitTo64BitChunks(value, chunks) {
+    const res = new Array(chunks)
+    for (let i = chunks - 1; i > 0; i--) {
+        res[i] = value & MASK_64
+        value >>= 64n //arithmetic shift keeps the sign for two's complement representation
+    }
+    res[0] = value
+    return res
+}
+
+/**
+ * Combines 64-bit chunks, starting from the most significant one
+ * @param {BigInt[]} chunks - Chunks
+ * @returns {BigInt}
+ */
+function combine64BitChunks(chunks) {
+    let value = 0n
+    for (const chunk of chunks)
+        value = value * TWO_POW_64 + chunk
+    return value
+}
 
 /**
  * Converts i128 value to hi and lo parts
  * @param {BigInt} value - i128 value
- * @returns {{hi: string, lo: string}} - hi and lo parts
+ * @returns {{hi: string, lo: string}} - hi (signed) and lo (unsigned) parts
  */
 function i128ToHiLo(value) {
-    const lo = (value % TWO_POW_64).toString()
-    const hi = (value / TWO_POW_64).toString()
-    return {hi, lo}
+    const [hi, lo] = splitTo64BitChunks(ensureRange(value, I128_MIN, I128_MAX, 'i128'), 2)
+    return {hi: hi.toString(), lo: lo.toString()}
 }
 
 /**
  * Converts hi and lo parts to i128 value
- * @param {string} hi - hi part
- * @param {string} lo - lo part
+ * @param {string} hi - hi part (signed)
+ * @param {string} lo - lo part (unsigned)
  * @returns {BigInt} - i128 value
  */
 function hiLoToI128(hi, lo) {
-    const hiPart = BigInt(hi) * TWO_POW_64
-    const loPart = BigInt(lo)
-    return hiPart + loPart
+    return combine64BitChunks([
+        ensureRange(hi, I64_MIN, I64_MAX, 'i64'),
+        ensureRange(lo, 0n, U64_MAX, 'u64')
+    ])
+}
+
+/**
+ * Converts u128 value to hi and lo parts
+ * @param {BigInt} value - u128 value
+ * @returns {{hi: string, lo: string}} - hi and lo parts
+ */
+function u128ToHiLo(value) {
+    const [hi, lo] = splitTo64BitChunks(ensureRange(value, 0n, U128_MAX, 'u128'), 2)
+    return {hi: hi.toString(), lo: lo.toString()}
+}
+
+/**
+ * Converts hi and lo parts to u128 value
+ * @param {string} hi - hi part
+ * @param {string} lo - lo part
+ * @returns {BigInt} - u128 value
+ */
+function hiLoToU128(hi, lo) {
+    return combine64BitChunks([
+        ensureRange(hi, 0n, U64_MAX, 'u64'),
+        ensureRange(lo, 0n, U64_MAX, 'u64')
+    ])
+}
+
+/**
+ * Converts i256 value to 64-bit parts
+ * @param {BigInt} value - i256 value
+ * @returns {{hiHi: string, hiLo: string, loHi: string, loLo: string}} - hiHi (signed) and other (unsigned) parts
+ */
+function i256ToParts(value) {
+    const [hiHi, hiLo, loHi, loLo] = splitTo64BitChunks(ensureRange(value, I256_MIN, I256_MAX, 'i256'), 4)
+    return {hiHi: hiHi.toString(), hiLo: hiLo.toString(), loHi: loHi.toString(), loLo: loLo.toString()}
+}
+
+/**
+ * Converts 64-bit parts to i256 value
+ * @param {string} hiHi - hiHi part (signed)
+ * @param {string} hiLo - hiLo part (unsigned)
+ * @param {string} loHi - loHi part (unsigned)
+ * @param {string} loLo - loLo part (unsigned)
+ * @returns {BigInt} - i256 value
+ */
+function partsToI256(hiHi, hiLo, loHi, loLo) {
+    return combine64BitChunks([
+        ensureRange(hiHi, I64_MIN, I64_MAX, 'i64'),
+        ensureRange(hiLo, 0n, U64_MAX, 'u64'),
+        ensureRange(loHi, 0n, U64_MAX, 'u64'),
+        ensureRange(loLo, 0n, U64_MAX, 'u64')
+    ])
+}
+
+/**
+ * Converts u256 value to 64-bit parts
+ * @param {BigInt} value - u256 value
+ * @returns {{hiHi: string, hiLo: string, loHi: string, loLo: string}} - parts
+ */
+function u256ToParts(value) {
+    const [hiHi, hiLo, loHi, loLo] = splitTo64BitChunks(ensureRange(value, 0n, U256_MAX, 'u256'), 4)
+    return {hiHi: hiHi.toString(), hiLo: hiLo.toString(), loHi: loHi.toString(), loLo: loLo.toString()}
+}
+
+/**
+ * Converts 64-bit parts to u256 value
+ * @param {string} hiHi - hiHi part
+ * @param {string} hiLo - hiLo part
+ * @param {string} loHi - loHi part
+ * @param {string} loLo - loLo part
+ * @returns {BigInt} - u256 value
+ */
+function partsToU256(hiHi, hiLo, loHi, loLo) {
+    return combine64BitChunks([
+        ensureRange(hiHi, 0n, U64_MAX, 'u64'),
+        ensureRange(hiLo, 0n, U64_MAX, 'u64'),
+        ensureRange(loHi, 0n, U64_MAX, 'u64'),
+        ensureRange(loLo, 0n, U64_MAX, 'u64')
+    ])
 }
 
 module.exports = {
+    I128_MIN,
+    I128_MAX,
+    U128_MAX,
+    I256_MIN,
+    I256_MAX,
+    U256_MAX,
     i128ToHiLo,
-    hiLoToI128
+    hiLoToI128,
+    u128ToHiLo,
+    hiLoToU128,
+    i256ToParts,
+    partsToI256,
+    u256ToParts,
+    partsToU256
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+const {LedgerCloseTimeError} = require('../errors')
+
+/**
+ * @typedef {import('soroban-client').Server} Server
+ */
+
+/**
+ * Hash that never belongs to a real transaction
+ */
+const unknownTransactionHash = '0'.repeat(64)
+
+/**
+ * Returns close time of the latest ledger known to the RPC server.
+ * Soroban RPC has no dedicated method for it, and getLatestLedger doesn't return the close time,
+ * but every getTransaction response has the latestLedgerCloseTime field, including responses for unknown transactions.
+ * Throws LedgerCloseTimeError if the field is missing or invalid, e.g. on RPC versions that don't return it
+ * @param {Server} server - Soroban RPC server
+ * @returns {Promise<number>} - Close time in milliseconds
+ */
+async function getLatestLedgerCloseTime(server) {
+    const {latestLedgerCloseTime} = await server.getTransaction(unknownTransactionHash)
+    const closeTime = Number(latestLedgerCloseTime)
+    if (!latestLedgerCloseTime || !Number.isFinite(closeTime))
+        throw new LedgerCloseTimeError(latestLedgerCloseTime)
+    return closeTime * 1000
+}
+
+module.exports = {
+    getLatestLedgerCloseTime
+}
\ No newline at end of file
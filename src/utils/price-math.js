@@ -0,0 +1,95 @@
+/**
+ * @typedef {import('../client').Price} Price
+ */
+
+/**
+ * @param {BigInt} value - Positive value
+ * @returns {number} - Integer part of the decimal logarithm
+ */
+function ilog10(value) {
+    return value.toString().length - 1
+}
+
+/**
+ * Divides fixed-point values the same way the contract does. The dividend is scaled up as far as i128 allows,
+ * the rest of the scale is taken from the divisor, and the quotient is truncated
+ * @param {BigInt} dividend - Positive fixed-point dividend
+ * @param {BigInt} divisor - Positive fixed-point divisor
+ * @param {number} decimals - Number of decimal places
+ * @returns {BigInt|null} - Fixed-point quotient, or null if the arguments are not positive or the scaled divisor is zero
+ */
+function fixedDivFloor(dividend, divisor, decimals) {
+    if (dividend <= 0n || divisor <= 0n)
+        return null
+    const dividendShift = Math.min(38 - ilog10(dividend), decimals)
+    const divisorShift = decimals - dividendShift
+    const scaledDividend = dividend * 10n ** BigInt(dividendShift)
+    const scaledDivisor = divisor / 10n ** BigInt(divisorShift)
+    if (scaledDivisor === 0n)
+        return null
+    return scaledDividend / scaledDivisor
+}
+
+/**
+ * Derives cross price from the base-denominated prices of two assets
+ * @param {Price} basePrice - Base asset price
+ * @param {Price} quotePrice - Quote asset price
+ * @param {number} decimals - Contract price decimals
+ * @returns {Price|null} - Cross price, or null if the prices are missing, have different timestamps or can't be divided
+ */
+function crossPrice(basePrice, quotePrice, decimals) {
+    if (!basePrice || !quotePrice || basePrice.timestamp !== quotePrice.timestamp)
+        return null
+    const price = fixedDivFloor(basePrice.price, quotePrice.price, decimals)
+    if (price === null)
+        return null
+    return {price, timestamp: basePrice.timestamp}
+}
+
+/**
+ * Derives cross prices for the timestamps present in both series
+ * @param {Price[]} basePrices - Base asset prices
+ * @param {Price[]} quotePrices - Quote asset prices
+ * @param {number} decimals - Contract price decimals
+ * @returns {Price[]} - Cross prices in the order of the base asset prices
+ */
+function crossPrices(basePrices, quotePrices, decimals) {
+    const quotesByTimestamp = new Map(quotePrices.map(price => [price.timestamp, price]))
+    const prices = []
+    for (const basePrice of basePrices) {
+        const price = crossPrice(basePrice, quotesByTimestamp.get(basePrice.timestamp), decimals)
+        if (price)
+            prices.push(price)
+    }
+    return prices
+}
+
+/**
+ * Calculates time-weighted average price the same way the contract does, as the truncated mean of the records
+ * @param {Price[]} prices - Price records
+ * @returns {BigInt|null} - Average price, or null if there are no records
+ */
+function twap(prices) {
+    if (!prices?.length)
+        return null
+    return prices.reduce((sum, price) => sum + price.price, 0n) / BigInt(prices.length)
+}
+
+/**
+ * Calculates time-weighted average cross price
+ * @param {Price[]} basePrices - Base asset prices
+ * @param {Price[]} quotePrices - Quote asset prices
+ * @param {number} decimals - Contract price decimals
+ * @returns {BigInt|null} - Average cross price, or null if there are no matching records
+ */
+function crossTwap(basePrices, quotePrices, decimals) {
+    return twap(crossPrices(basePrices, quotePrices, decimals))
+}
+
+module.exports = {
+    fixedDivFloor,
+    crossPrice,
+    crossPrices,
+    twap,
+    crossTwap
+}
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * @typedef {import('../client').Price} Price
+ */
+
+/**
+ * @typedef {Object} PriceGap
+ * @property {BigInt} from - Timestamp of the last record before the gap
+ * @property {BigInt} to - Timestamp of the first record after the gap
+ * @property {number} missing - Number of missing records
+ */
+
+/**
+ * @typedef {Object} PriceStats
+ * @property {number} count - Number of records
+ * @property {Price} first - Oldest record
+ * @property {Price} last - Newest record
+ * @property {Price} min - Record with the lowest price
+ * @property {Price} max - Record with the highest price
+ * @property {BigInt} mean - Truncated mean price
+ * @property {BigInt} median - Median price. Truncated mean of the middle records for even counts
+ * @property {BigInt} stddev - Population standard deviation, rounded down
+ * @property {BigInt} change - Change from the first to the last price in percent, fixed-point with the price decimals
+ * @property {BigInt} maxDrawdown - Largest peak-to-trough decline in percent, fixed-point with the price decimals
+ * @property {PriceGap[]} gaps - Missing records. Empty if the resolution is unknown
+ */
+
+/**
+ * @param {BigInt} value - Non-negative value
+ * @returns {BigInt} - Integer square root, rounded down
+ */
+function isqrt(value) {
+    if (value < 2n)
+        return value
+    let x = 1n << BigInt(Math.ceil(value.toString(2).length / 2)) //Newton's method converges from any guess above the root
+    let next = (x + value / x) / 2n
+    while (next < x) {
+        x = next
+        next = (x + value / x) / 2n
+    }
+    return x
+}
+
+/**
+ * Removes missing records and sorts the rest by timestamp, oldest first
+ * @param {(Price|null)[]} prices - Price records, e.g. contract results (newest first) or price range points
+ * @returns {Price[]}
+ */
+function sortPrices(prices) {
+    return prices
+        .filter(Boolean)
+        .sort((a, b) => a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0)
+}
+
+/**
+ * @param {Price[]} prices - Price records
+ * @returns {Price|null} - Record with the lowest price
+ */
+function minPrice(prices) {
+    return sortPrices(prices).reduce((min, price) => !min || price.price < min.price ? price : min, null)
+}
+
+/**
+ * @param {Price[]} prices - Price records
+ * @returns {Price|null} - Record with the highest price
+ */
+function maxPrice(prices) {
+    return sortPrices(prices).reduce((max, price) => !max || price.price > max.price ? price : max, null)
+}
+
+/**
+ * @param {Price[]} prices - Price records
+ * @returns {BigInt|null} - Truncated mean price
+ */
+function meanPrice(prices) {
+    prices = sortPrices(prices)
+    if (!prices.length)
+        return null
+    return prices.reduce((sum, price) => sum + price.price, 0n) / BigInt(prices.length)
+}
+
+/**
+ * @param {Price[]} prices - Price records
+ * @returns {BigInt|null} - Median price. Truncated mean of the middle records for even counts
+ */
+function medianPrice(prices) {
+    const values = sortPrices(prices).map(price => price.price).sort((a, b) => a < b ? -1 : a > b ? 1 : 0)
+    if (!values.length)
+        return null
+    const middle = Math.floor(values.length / 2)
+    return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2n
+}
+
+/**
+ * @param {Price[]} prices - Price records
+ * @returns {BigInt|null} - Population standard deviation, rounded down
+ */
+function priceStddev(prices) {
+    prices = sortPrices(prices)
+    if (!prices.length)
+        return null
+    const count = BigInt(prices.length)
+    let sum = 0n
+    let sumOfSquares = 0n
+    for (const {price} of prices) {
+        sum += price
+        sumOfSquares += price * price
+    }
+    //n^2 * variance = n * sum(p^2) - sum(p)^2, so the only rounding happens in the last step
+    return isqrt(count * sumOfSquares - sum * sum) / count
+}
+
+/**
+ * @param {Price[]} prices - Price records
+ * @param {number} decimals - Number of decimal places in the result
+ * @returns {BigInt|null} - Change from the first to the last price in percent, or null if the first price is not positive
+ */
+function priceChange(prices, decimals) {
+    prices = sortPrices(prices)
+    if (!prices.length || prices[0].price <= 0n)
+        return null
+    const first = prices[0].price
+    return (prices[prices.length - 1].price - first) * 100n * 10n ** BigInt(decimals) / first
+}
+
+/**
+ * @param {Price[]} prices - Price records
+ * @param {number} decimals - Number of decimal places in the result
+ * @returns {BigInt|null} - Largest peak-to-trough decline in percent
+ */
+function maxDrawdown(prices, decimals) {
+    prices = sortPrices(prices)
+    if (!prices.length)
+        return null
+    const scale = 100n * 10n ** BigInt(decimals)
+    let peak = prices[0].price
+    let drawdown = 0n
+    for (const {price} of prices) {
+        if (price > peak)
+            peak = price
+        else if (peak > 0n) {
+            const decline = (peak - price) * scale / peak
+            if (decline > drawdown)
+                drawdown = decline
+        }
+    }
+    return drawdown
+}
+
+/**
+ * Finds missing records between the consecutive timestamps
+ * @param {Price[]} prices - Price records
+ * @param {number} resolution - Contract resolution in milliseconds
+ * @returns {PriceGap[]}
+ */
+function findGaps(prices, resolution) {
+    prices = sortPrices(prices)
+    const step = BigInt(resolution)
+    const gaps = []
+    for (let i = 1; i < prices.length; i++) {
+        const from = prices[i - 1].timestamp
+        const to = prices[i].timestamp
+        if (to - from > step)
+            gaps.push({from, to, missing: Number((to - from) / step) - 1})
+    }
+    return gaps
+}
+
+/**
+ * Calculates statistics over the price records. Missing records are ignored, records are ordered by timestamp
+ * @param {(Price|null)[]} prices - Price records
+ * @param {{decimals: number, resolution?: number}} options - Price decimals and contract resolution in milliseconds
+ * @returns {PriceStats|null} - Statistics, or null if there are no records
+ */
+function priceStats(prices, {decimals, resolution}) {
+    prices = sortPrices(prices)
+    if (!prices.length)
+        return null
+    return {
+        count: prices.length,
+        first: prices[0],
+        last: prices[prices.length - 1],
+        min: minPrice(prices),
+        max: maxPrice(prices),
+        mean: meanPrice(prices),
+        median: medianPrice(prices),
+        stddev: priceStddev(prices),
+        change: priceChange(prices, decimals),
+        maxDrawdown: maxDrawdown(prices, decimals),
+        gaps: resolution ? findGaps(prices, resolution) : []
+    }
+}
+
+module.exports = {
+    isqrt,
+    minPrice,
+    maxPrice,
+    meanPrice,
+    medianPrice,
+    priceStddev,
+    priceChange,
+    maxDrawdown,
+    findGaps,
+    priceStats
+}
\ No newline at end of file
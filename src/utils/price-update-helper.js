@@ -0,0 +1,167 @@
+const {PriceUpdateError, OfflineModeError} = require('../errors')
+const {assetToString} = require('./asset-helper')
+const {normalizeAsset} = require('./stellar-asset-helper')
+const {I128_MIN, I128_MAX} = require('./i128-helper')
+
+/**
+ * @typedef {import('../client')} OracleClient
+ * @typedef {import('../client').Asset} Asset
+ */
+
+/**
+ * @typedef {Object} AssetPriceUpdate
+ * @property {Asset} asset - Registered asset
+ * @property {BigInt|string} price - Price. Strings are treated as decimal prices, e.g. "1.2345"
+ */
+
+/**
+ * Positional prices in the contract assets order, prices keyed by asset, or asset price pairs
+ * @typedef {(BigInt|string)[]|Map<Asset, BigInt|string>|AssetPriceUpdate[]} PriceUpdates
+ */
+
+/**
+ * @param {PriceUpdates} updates - Price updates
+ * @returns {boolean} - Whether the updates are keyed by asset rather than positional
+ */
+function isKeyedUpdates(updates) {
+    return updates instanceof Map || updates.some(update => update !== null && typeof update === 'object')
+}
+
+/**
+ * @param {Map<Asset, BigInt|string>|AssetPriceUpdate[]} updates - Keyed price updates
+ * @param {string} network - Stellar network passphrase
+ * @returns {Map<string, {asset: Asset, price: BigInt|string}>} - Updates by asset key
+ */
+function getUpdatesByAsset(updates, network) {
+    const entries = updates instanceof Map ? [...updates] : updates.map(({asset, price}) => [asset, price])
+    const updatesByAsset = new Map()
+    for (const [asset, price] of entries) {
+        const key = assetToString(normalizeAsset(asset, network))
+        if (updatesByAsset.has(key))
+            throw new PriceUpdateError(`Duplicate price update for asset ${key}`, asset)
+        updatesByAsset.set(key, {asset, price})
+    }
+    return updatesByAsset
+}
+
+/**
+ * @param {Map<Asset, BigInt|string>|AssetPriceUpdate[]} updates - Keyed price updates
+ * @param {Asset[]} assets - Registered assets in the contract order
+ * @param {string} network - Stellar network passphrase
+ * @returns {Asset[]} - Assets of the updates that are not registered in the contract
+ */
+function getUnregisteredAssets(updates, assets, network) {
+    const registered = new Set(assets.map(asset => assetToString(asset)))
+    return [...getUpdatesByAsset(updates, network)]
+        .filter(([key]) => !registered.has(key))
+        .map(([, {asset}]) => asset)
+}
+
+/**
+ * Converts keyed price updates to the positional vector expected by the contract.
+ * Registered assets missing from the updates are sent as zero prices
+ * @param {Map<Asset, BigInt|string>|AssetPriceUpdate[]} updates - Keyed price updates
+ * @param {Asset[]} assets - Registered assets in the contract order
+ * @param {string} network - Stellar network passphrase
+ * @returns {(BigInt|string)[]} - Prices in the contract assets order
+ */
+function buildPriceVector(updates, assets, network) {
+    const [unregistered] = getUnregisteredAssets(updates, assets, network)
+    if (unregistered)
+        throw new PriceUpdateError(`Asset ${assetToString(normalizeAsset(unregistered, network))} is not registered in the contract`, unregistered)
+    const updatesByAsset = getUpdatesByAsset(updates, network)
+    return assets.map(asset => updatesByAsset.get(assetToString(asset))?.price ?? 0n)
+}
+
+/**
+ * @param {any} price - Price value
+ * @returns {boolean} - Whether the value is an integer that fits the contract i128 type. Empty values are sent as zero
+ */
+function isValidPrice(price) {
+    if (price === null || price === undefined)
+        return true
+    if (typeof price !== 'bigint' && !Number.isSafeInteger(price))
+        return false
+    return BigInt(price) >= I128_MIN && BigInt(price) <= I128_MAX
+}
+
+/**
+ * Checks that the prices fit the contract i128 type
+ * @param {BigInt[]} prices - Prices in the contract assets order
+ * @param {Asset[]} [assets] - Registered assets for the error details
+ */
+function validatePriceRange(prices, assets = []) {
+    prices.forEach((price, i) => {
+        if (!isValidPrice(price))
+            throw new PriceUpdateError(`Price ${price} at position ${i} is not an integer in i128 range`, assets[i] || null)
+    })
+}
+
+/**
+ * Checks that the update timestamp is aligned to the contract resolution and is newer than the last update
+ * @param {number|BigInt} timestamp - Update timestamp in milliseconds
+ * @param {number} resolution - Contract resolution in milliseconds
+ * @param {number} lastTimestamp - Last update timestamp in milliseconds
+ */
+function validateUpdateTimestamp(timestamp, resolution, lastTimestamp) {
+    timestamp = BigInt(timestamp)
+    if (timestamp % BigInt(resolution) !== 0n)
+        throw new PriceUpdateError(`Timestamp ${timestamp} is not aligned to the contract resolution of ${resolution} ms`)
+    if (timestamp <= BigInt(lastTimestamp))
+        throw new PriceUpdateError(`Timestamp ${timestamp} is not newer than the last update timestamp ${lastTimestamp}`)
+}
+
+/**
+ * Converts price updates to the positional vector of BigInt prices and validates them
+ * @param {OracleClient} client - Oracle client instance
+ * @param {PriceUpdates} updates - Price updates
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {{validate?: boolean, offline?: boolean, assets?: Asset[]}} [options] - Check the updates against the contract state,
+ * don't make network calls, registered assets to use instead of loading them
+ * @returns {Promise<BigInt[]>}
+ */
+async function resolvePriceUpdates(client, updates, timestamp, {validate, offline, assets: registeredAssets} = {}) {
+    if (validate && offline)
+        throw new OfflineModeError('Price updates validation requires the contract state, it is not available in offline mode')
+    const loadAssets = async refresh => {
+        if (registeredAssets)
+            return registeredAssets
+        if (offline)
+            throw new OfflineModeError('Registered assets are required for keyed price updates in offline mode, set the assets option')
+        return await client.getAssets(refresh)
+    }
+    let assets = []
+    if (isKeyedUpdates(updates)) {
+        assets = await loadAssets(false)
+        if (!registeredAssets && getUnregisteredAssets(updates, assets, client.network).length) //the assets may have been added after the list was loaded
+            assets = await loadAssets(true)
+        updates = buildPriceVector(updates, assets, client.network)
+    } else if (validate) {
+        assets = await loadAssets(false)
+        if (!registeredAssets && updates.length !== assets.length)
+            assets = await loadAssets(true)
+        if (updates.length !== assets.length)
+            throw new PriceUpdateError(`Expected ${assets.length} prices for the registered assets, got ${updates.length}`)
+    }
+    if (updates.some(u => typeof u === 'string')) {
+        if (offline && client.options.decimals === undefined)
+            throw new OfflineModeError('Decimals client option is required for decimal price updates in offline mode')
+        const formatter = await client.getPriceFormatter()
+        updates = updates.map(u => typeof u === 'string' ? formatter.parse(u) : u)
+    }
+    validatePriceRange(updates, assets)
+    if (validate) {
+        const [resolution, lastTimestamp] = await Promise.all([client.query.resolution(), client.query.lastTimestamp()])
+        validateUpdateTimestamp(timestamp, resolution * 1000, lastTimestamp)
+    }
+    return updates
+}
+
+module.exports = {
+    isKeyedUpdates,
+    getUnregisteredAssets,
+    buildPriceVector,
+    validatePriceRange,
+    validateUpdateTimestamp,
+    resolvePriceUpdates
+}
\ No newline at end of file
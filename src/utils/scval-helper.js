@@ -0,0 +1,165 @@
+const {Address, xdr, Keypair} = require('soroban-client')
+const AssetType = require('../asset-type')
+const {AssetEncodingError} = require('../errors')
+const {i128ToHiLo, hiLoToI128} = require('./i128-helper')
+const {normalizeAsset, findStellarAsset} = require('./stellar-asset-helper')
+const {getAssetValidationError, describeAsset} = require('./asset-helper')
+
+/**
+ * @typedef {import('../client').Asset} Asset
+ * @typedef {import('../client').Price} Price
+ */
+
+/**
+ * @param {Asset|string|import('soroban-client').Asset} asset - Asset object, XLM or CODE:ISSUER string, or classic asset object
+ * @param {string} [network] - Stellar network passphrase. Required for classic assets
+ * @returns {xdr.ScVal}
+ */
+function buildAssetScVal(asset, network) {
+    asset = normalizeAsset(asset, network)
+    const error = getAssetValidationError(asset)
+    if (error)
+        throw new AssetEncodingError(`Invalid asset ${describeAsset(asset)}: ${error}`, asset)
+    if (asset.type === AssetType.Stellar)
+        return xdr.ScVal.scvVec([xdr.ScVal.scvSymbol('Stellar'), new Address(asset.code).toScVal()])
+    return xdr.ScVal.scvVec([xdr.ScVal.scvSymbol('Generic'), xdr.ScVal.scvSymbol(asset.code)])
+}
+
+/**
+ *
+ * @param {BigInt} value - i128 value
+ * @returns {xdr.ScVal}
+ */
+function convertToI128ScVal(value) {
+    const {hi, lo} = value ? i128ToHiLo(value) : {hi: '0', lo: '0'}
+    return xdr.ScVal.scvI128(
+        new xdr.Int128Parts({
+            hi: xdr.Int64.fromString(hi),
+            lo: xdr.Uint64.fromString(lo)
+        })
+    )
+}
+
+/**
+ * @param {any} xdrAsset - XDR asset
+ * @param {string} [network] - Stellar network passphrase. Used to resolve registered classic assets
+ * @returns {Asset}
+ */
+function parseXdrAssetResult(xdrAsset, network) {
+    const assetType = xdrAsset[0].value().toString()
+    switch (AssetType[assetType]) {
+        case AssetType.Generic:
+            return {type: AssetType.Generic, code: xdrAsset[1].value().toString()}
+        case AssetType.Stellar: {
+            const code = Address.contract(xdrAsset[1].value().value()).toString()
+            const classic = findStellarAsset(code, network)
+            return classic ? {type: AssetType.Stellar, code, classic} : {type: AssetType.Stellar, code}
+        }
+        default:
+            throw new AssetEncodingError(`Unknown asset type: ${assetType}`, xdrAsset)
+    }
+}
+
+/**
+ * @param {any} xdrPrice - XDR price object
+ * @returns {{price: BigInt, timestamp: BigInt}}
+ */
+function parseXdrPriceResult(xdrPrice) {
+    return {
+        price: hiLoToI128(xdrPrice[0].val().value().hi(), xdrPrice[0].val().value().lo()),
+        timestamp: BigInt(xdrPrice[1].val().value())
+    }
+}
+
+/**
+ * @param {any} val - Unwrapped contract call result value
+ * @returns {string} - Keypair public key
+ */
+function parseAdminValue(val) {
+    const adminBuffer = val?.value()?.value()
+    if (adminBuffer === undefined)
+        return null
+    return new Keypair({type: 'ed25519', publicKey: adminBuffer}).publicKey()
+}
+
+/**
+ * @param {any} val - Unwrapped contract call result value
+ * @param {string} [network] - Stellar network passphrase. Used to resolve registered classic assets
+ * @returns {Asset} - Asset object
+ */
+function parseAssetValue(val, network) {
+    if (val === undefined)
+        return null
+    return parseXdrAssetResult(val, network)
+}
+
+/**
+ * @param {any} val - Unwrapped contract call result value
+ * @returns {number} - Number value
+ */
+function parseNumberValue(val) {
+    if (val === undefined)
+        return null
+    return Number(val)
+}
+
+/**
+ * @param {any} val - Unwrapped contract call result value
+ * @param {string} [network] - Stellar network passphrase. Used to resolve registered classic assets
+ * @returns {Asset[]} - Array of asset objects
+ */
+function parseAssetsValue(val, network) {
+    if (val === undefined)
+        return null
+    const assets = []
+    for (const asset of val)
+        assets.push(parseXdrAssetResult(asset.value(), network))
+    return assets
+}
+
+/**
+ * @param {any} val - Unwrapped contract call result value
+ * @returns {Price} - Price object
+ */
+function parsePriceValue(val) {
+    if (val === undefined)
+        return null
+    return parseXdrPriceResult(val)
+}
+
+/**
+ * @param {any} val - Unwrapped contract call result value
+ * @returns {Price[]} - Array of price objects
+ */
+function parsePricesValue(val) {
+    if (val === undefined)
+        return null
+    const prices = []
+    for (const price of val)
+        prices.push(parseXdrPriceResult(price.value()))
+    return prices
+}
+
+/**
+ * @param {any} val - Unwrapped contract call result value
+ * @returns {BigInt} - i128 value
+ */
+function parseI128Value(val) {
+    if (val === undefined)
+        return null
+    return hiLoToI128(val.hi(), val.lo())
+}
+
+module.exports = {
+    buildAssetScVal,
+    convertToI128ScVal,
+    parseXdrAssetResult,
+    parseXdrPriceResult,
+    parseAdminValue,
+    parseAssetValue,
+    parseNumberValue,
+    parseAssetsValue,
+    parsePriceValue,
+    parsePricesValue,
+    parseI128Value
+}
\ No newline at end of file
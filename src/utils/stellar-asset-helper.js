@@ -0,0 +1,114 @@
+const {Asset, StrKey, xdr, hash} = require('soroban-client')
+const AssetType = require('../asset-type')
+const {AssetEncodingError} = require('../errors')
+
+/**
+ * @typedef {import('../client').Asset} OracleAsset
+ */
+
+/**
+ * Classic assets by Stellar Asset Contract ID, grouped by network passphrase.
+ * Populated only by {@link registerStellarAsset}, so the size is limited to the explicitly registered assets
+ * @type {Map<string, Map<string, string>>}
+ */
+const knownStellarAssets = new Map()
+
+/**
+ * Parses classic Stellar asset
+ * @param {string|Asset} value - XLM, native, CODE:ISSUER string, or soroban-client Asset object
+ * @returns {Asset|null} - Asset object or null if the value isn't a classic asset
+ */
+function parseClassicAsset(value) {
+    if (value instanceof Asset)
+        return value
+    if (typeof value !== 'string')
+        return null
+    if (value === 'XLM' || value === 'native')
+        return Asset.native()
+    const [code, issuer, ...rest] = value.split(':')
+    if (rest.length || !issuer || !StrKey.isValidEd25519PublicKey(issuer))
+        return null
+    try {
+        return new Asset(code, issuer)
+    } catch (e) {
+        return null
+    }
+}
+
+/**
+ * @param {Asset} asset - Classic asset
+ * @returns {string} - XLM or CODE:ISSUER string
+ */
+function classicAssetToString(asset) {
+    return asset.isNative() ? 'XLM' : `${asset.getCode()}:${asset.getIssuer()}`
+}
+
+/**
+ * Derives Stellar Asset Contract ID for the classic asset
+ * @param {string|Asset} asset - XLM, CODE:ISSUER string, or soroban-client Asset object
+ * @param {string} network - Stellar network passphrase
+ * @returns {string} - Contract ID
+ */
+function getStellarAssetContractId(asset, network) {
+    const classicAsset = parseClassicAsset(asset)
+    if (!classicAsset)
+        throw new AssetEncodingError(`Invalid classic Stellar asset: ${asset}`, asset)
+    if (!network)
+        throw new AssetEncodingError('Network passphrase is required to derive Stellar Asset Contract ID', asset)
+    const preimage = xdr.HashIdPreimage.envelopeTypeContractId(
+        new xdr.HashIdPreimageContractId({
+            networkId: hash(Buffer.from(network)),
+            contractIdPreimage: xdr.ContractIdPreimage.contractIdPreimageFromAsset(classicAsset.toXDRObject())
+        })
+    )
+    return StrKey.encodeContract(hash(preimage.toXDR()))
+}
+
+/**
+ * Registers classic asset, so it can be resolved from the contract ID when parsing contract results
+ * @param {string|Asset} asset - XLM, CODE:ISSUER string, or soroban-client Asset object
+ * @param {string} network - Stellar network passphrase
+ * @returns {string} - Contract ID
+ */
+function registerStellarAsset(asset, network) {
+    const contractId = getStellarAssetContractId(asset, network)
+    let networkAssets = knownStellarAssets.get(network)
+    if (!networkAssets) {
+        networkAssets = new Map()
+        knownStellarAssets.set(network, networkAssets)
+    }
+    networkAssets.set(contractId, classicAssetToString(parseClassicAsset(asset)))
+    return contractId
+}
+
+/**
+ * Resolves classic asset by Stellar Asset Contract ID
+ * @param {string} contractId - Contract ID
+ * @param {string} [network] - Stellar network passphrase. Nothing is resolved without it
+ * @returns {string|null} - XLM or CODE:ISSUER string, or null if the asset wasn't registered for the network
+ */
+function findStellarAsset(contractId, network) {
+    return knownStellarAssets.get(network)?.get(contractId) || null
+}
+
+/**
+ * Converts asset input to the contract asset representation
+ * @param {OracleAsset|string|Asset} asset - Oracle asset, XLM, CODE:ISSUER string, or soroban-client Asset object
+ * @param {string} [network] - Stellar network passphrase. Required for classic assets
+ * @returns {OracleAsset}
+ */
+function normalizeAsset(asset, network) {
+    if (typeof asset === 'string' || asset instanceof Asset)
+        return {type: AssetType.Stellar, code: getStellarAssetContractId(asset, network)}
+    if (asset?.type === AssetType.Stellar && !StrKey.isValidContract(asset.code) && parseClassicAsset(asset.code))
+        return {type: AssetType.Stellar, code: getStellarAssetContractId(asset.code, network)}
+    return asset
+}
+
+module.exports = {
+    parseClassicAsset,
+    getStellarAssetContractId,
+    registerStellarAsset,
+    findStellarAsset,
+    normalizeAsset
+}
\ No newline at end of file
@@ -0,0 +1,199 @@
+const {xdr, Transaction, TransactionBuilder, FeeBumpTransaction, BASE_FEE} = require('soroban-client')
+
+/**
+ * @typedef {import('soroban-client').SorobanRpc.SimulateTransactionResponse} SimulateTransactionResponse
+ */
+
+/**
+ * @typedef {Object} TxFootprint
+ * @property {(xdr.LedgerKey|string)[]} readOnly - Read-only ledger keys, XDR objects or base64 strings
+ * @property {(xdr.LedgerKey|string)[]} readWrite - Read-write ledger keys, XDR objects or base64 strings
+ */
+
+/**
+ * Explicit Soroban resources. Transactions built with explicit resources are not simulated
+ * @typedef {Object} TxResources
+ * @property {number} instructions - Max number of CPU instructions
+ * @property {number} readBytes - Max number of bytes read from the ledger
+ * @property {number} writeBytes - Max number of bytes written to the ledger
+ * @property {number} [extendedMetaDataSizeBytes] - Max size of the transaction meta. Default is 0.
+ * @property {number|string} resourceFee - Resource fee in stroops, added to the transaction fee
+ * @property {number|string} [refundableFee] - Refundable part of the resource fee in stroops. Default is 0.
+ * @property {TxFootprint} footprint - Ledger footprint
+ * @property {(xdr.SorobanAuthorizationEntry|string)[]} [auth] - Authorization entries. Admin methods are authorized by the source account by default
+ */
+
+/**
+ * Rounding steps for the simulated resources. Values are rounded up to the nearest multiple of the step,
+ * so nodes with slightly different simulation results build identical transactions
+ * @typedef {Object} FeeRounding
+ * @property {number} [fee] - Resource fee and refundable fee step in stroops
+ * @property {number} [instructions] - Instructions step
+ * @property {number} [bytes] - Read, write and meta bytes step
+ */
+
+/**
+ * @param {number|string|BigInt} value - Value to round
+ * @param {number} [step] - Rounding step. Value is returned as is if not set
+ * @returns {BigInt}
+ */
+function roundUp(value, step) {
+    value = BigInt(value)
+    if (!step)
+        return value
+    const divisor = BigInt(step)
+    return (value + divisor - 1n) / divisor * divisor
+}
+
+/**
+ * @param {xdr.LedgerKey|string} key - Ledger key, XDR object or base64 string
+ * @returns {xdr.LedgerKey}
+ */
+function toLedgerKey(key) {
+    return typeof key === 'string' ? xdr.LedgerKey.fromXDR(key, 'base64') : key
+}
+
+/**
+ * Sorts ledger keys by their XDR representation, so the footprint doesn't depend on the RPC node ordering
+ * @param {xdr.LedgerKey[]} keys - Ledger keys
+ * @returns {xdr.LedgerKey[]}
+ */
+function sortLedgerKeys(keys) {
+    return keys
+        .map(key => ({key, raw: key.toXDR()}))
+        .sort((a, b) => Buffer.compare(a.raw, b.raw))
+        .map(({key}) => key)
+}
+
+/**
+ * @param {TxResources} resources - Explicit resources
+ * @returns {xdr.SorobanTransactionData}
+ */
+function buildSorobanData(resources) {
+    const {footprint = {}} = resources
+    return new xdr.SorobanTransactionData({
+        ext: new xdr.ExtensionPoint(0),
+        resources: new xdr.SorobanResources({
+            footprint: new xdr.LedgerFootprint({
+                readOnly: sortLedgerKeys((footprint.readOnly || []).map(toLedgerKey)),
+                readWrite: sortLedgerKeys((footprint.readWrite || []).map(toLedgerKey))
+            }),
+            instructions: resources.instructions,
+            readBytes: resources.readBytes,
+            writeBytes: resources.writeBytes,
+            extendedMetaDataSizeBytes: resources.extendedMetaDataSizeBytes || 0
+        }),
+        refundableFee: xdr.Int64.fromString((resources.refundableFee || 0).toString())
+    })
+}
+
+/**
+ * Builds source account authorization for the contract invocation
+ * @param {xdr.Operation} operation - Invoke host function operation
+ * @returns {xdr.SorobanAuthorizationEntry}
+ */
+function buildSourceAccountAuth(operation) {
+    const [contractAddress, functionName, ...args] = operation.body().invokeHostFunctionOp().hostFunction().invokeContract()
+    return new xdr.SorobanAuthorizationEntry({
+        credentials: xdr.SorobanCredentials.sorobanCredentialsSourceAccount(),
+        rootInvocation: new xdr.SorobanAuthorizedInvocation({
+            function: xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(
+                new xdr.SorobanAuthorizedContractFunction({
+                    contractAddress: contractAddress.address(),
+                    functionName: functionName.sym(),
+                    args
+                })
+            ),
+            subInvocations: []
+        })
+    })
+}
+
+/**
+ * Converts explicit resources to the simulation response shape accepted by assembleTransaction
+ * @param {TxResources} resources - Explicit resources
+ * @param {xdr.SorobanAuthorizationEntry[]} defaultAuth - Authorization entries used if resources don't specify them
+ * @returns {SimulateTransactionResponse}
+ */
+function resourcesToSimulation(resources, defaultAuth) {
+    const auth = (resources.auth || defaultAuth).map(entry => typeof entry === 'string' ? entry : entry.toXDR('base64'))
+    return {
+        results: [{auth}],
+        minResourceFee: resources.resourceFee.toString(),
+        transactionData: buildSorobanData(resources).toXDR('base64')
+    }
+}
+
+/**
+ * Rounds simulated resources and fees up and sorts the footprint
+ * @param {SimulateTransactionResponse} simulation - Simulation response
+ * @param {FeeRounding} rounding - Rounding steps
+ * @returns {SimulateTransactionResponse}
+ */
+function roundSimulation(simulation, rounding) {
+    const sorobanData = xdr.SorobanTransactionData.fromXDR(simulation.transactionData, 'base64')
+    const resources = sorobanData.resources()
+    const footprint = resources.footprint()
+    const roundedData = buildSorobanData({
+        instructions: Number(roundUp(resources.instructions(), rounding.instructions)),
+        readBytes: Number(roundUp(resources.readBytes(), rounding.bytes)),
+        writeBytes: Number(roundUp(resources.writeBytes(), rounding.bytes)),
+        extendedMetaDataSizeBytes: Number(roundUp(resources.extendedMetaDataSizeBytes(), rounding.bytes)),
+        refundableFee: roundUp(sorobanData.refundableFee().toString(), rounding.fee),
+        footprint: {readOnly: footprint.readOnly(), readWrite: footprint.readWrite()}
+    })
+    return {
+        ...simulation,
+        minResourceFee: roundUp(simulation.minResourceFee || 0, rounding.fee).toString(),
+        transactionData: roundedData.toXDR('base64')
+    }
+}
+
+/**
+ * Returns transaction hash that can be compared across nodes before signing. Signatures don't affect the fingerprint
+ * @param {Transaction|string} transaction - Transaction object, or base64 XDR envelope
+ * @param {string} [network] - Stellar network passphrase. Required for XDR envelopes
+ * @returns {string} - Hex-encoded transaction hash
+ */
+function transactionFingerprint(transaction, network) {
+    if (typeof transaction === 'string')
+        transaction = new Transaction(transaction, network)
+    return transaction.hash().toString('hex')
+}
+
+/**
+ * Estimates the resource fee part of the Soroban transaction fee. The transaction doesn't record the resource fee,
+ * so the inclusion fee is assumed to be the network minimum of 100 stroops per operation
+ * @param {Transaction} transaction - Transaction
+ * @returns {number} - Resource fee in stroops, 0 for classic transactions
+ */
+function estimateResourceFee(transaction) {
+    if (transaction.toEnvelope().v1().tx().ext().switch() !== 1) //no Soroban data
+        return 0
+    return Math.max(Number(transaction.fee) - Number(BASE_FEE) * transaction.operations.length, 0)
+}
+
+/**
+ * Builds fee bump transaction with the exact total fee. Unlike TransactionBuilder.buildFeeBumpTransaction,
+ * the fee is not required to be a multiple of the inner transaction fee rate, so the resource fee isn't paid twice
+ * @param {string} feeSource - Fee payer account ID
+ * @param {number} fee - Total fee in stroops
+ * @param {Transaction} innerTransaction - Signed inner transaction
+ * @param {string} network - Stellar network passphrase
+ * @returns {FeeBumpTransaction}
+ */
+function buildFeeBumpTransaction(feeSource, fee, innerTransaction, network) {
+    const envelope = TransactionBuilder.buildFeeBumpTransaction(feeSource, innerTransaction.fee, innerTransaction, network).toEnvelope()
+    envelope.feeBump().tx().fee(xdr.Int64.fromString(fee.toString()))
+    return new FeeBumpTransaction(envelope, network)
+}
+
+module.exports = {
+    buildSorobanData,
+    buildSourceAccountAuth,
+    resourcesToSimulation,
+    roundSimulation,
+    transactionFingerprint,
+    estimateResourceFee,
+    buildFeeBumpTransaction
+}
\ No newline at end of file
@@ -0,0 +1,74 @@
+/*eslint-disable no-undef */
+const {Keypair, Networks, TransactionBuilder, xdr} = require('soroban-client')
+const {LedgerEntryNotFoundError} = require('../src/errors')
+const {createTestClient} = require('./test-helper')
+
+const source = Keypair.random().publicKey()
+const wasmHash = Buffer.alloc(32, 7)
+
+function createClient() {
+    const client = createTestClient()
+    const instance = xdr.LedgerEntryData.contractData(new xdr.ContractDataEntry({
+        contract: client.contract.address().toScAddress(),
+        key: xdr.ScVal.scvLedgerKeyContractInstance(),
+        durability: xdr.ContractDataDurability.persistent(),
+        body: xdr.ContractDataEntryBody.dataEntry(new xdr.ContractDataEntryData({
+            flags: 0,
+            val: xdr.ScVal.scvContractInstance(new xdr.ScContractInstance({
+                executable: xdr.ContractExecutable.contractExecutableWasm(wasmHash),
+                storage: null
+            }))
+        })),
+        expirationLedgerSeq: 1000
+    }))
+    client.server.getLedgerEntries = async () => ({entries: [{xdr: instance.toXDR('base64')}]})
+    return client
+}
+
+test('getContractLedgerKeys should return instance and code keys', async () => {
+    const client = createClient()
+    const [instanceKey, codeKey] = await client.getContractLedgerKeys()
+
+    expect(instanceKey.contractData().key().switch().name).toBe('scvLedgerKeyContractInstance')
+    expect(codeKey.contractCode().hash()).toEqual(wasmHash)
+})
+
+test('getContractLedgerKeys should throw LedgerEntryNotFoundError for missing contracts', async () => {
+    const client = createClient()
+    client.server.getLedgerEntries = async () => ({entries: []})
+
+    const error = await client.getContractLedgerKeys().catch(e => e)
+    expect(error).toBeInstanceOf(LedgerEntryNotFoundError)
+    expect(error.entryType).toBe('Contract')
+    expect(error.id).toBe(client.contractId)
+})
+
+test('bumpExpiration should build footprint operation with the contract keys', async () => {
+    const client = createClient()
+    const envelope = await client.bumpExpiration(source, 10000, {fee: 100, offline: true, sequence: '1'})
+    const tx = TransactionBuilder.fromXDR(envelope, Networks.FUTURENET)
+
+    expect(tx.operations[0].type).toBe('bumpFootprintExpiration')
+    expect(tx.operations[0].ledgersToExpire).toBe(10000)
+    const footprint = tx.toEnvelope().v1().tx().ext().sorobanData().resources().footprint()
+    expect(footprint.readOnly().length).toBe(2)
+    expect(footprint.readWrite().length).toBe(0)
+})
+
+test('bumpExpiration should use explicit resources', async () => {
+    const client = createClient()
+    client.server.getLedgerEntries = async () => {
+        throw new Error('Unexpected network call')
+    }
+    const keys = await createClient().getContractLedgerKeys()
+    const envelope = await client.bumpExpiration(source, 10000, {
+        fee: 100,
+        offline: true,
+        sequence: '1',
+        resources: {instructions: 0, readBytes: 1000, writeBytes: 0, resourceFee: 5000, footprint: {readOnly: keys, readWrite: []}}
+    })
+    const tx = TransactionBuilder.fromXDR(envelope, Networks.FUTURENET)
+
+    expect(tx.fee).toBe('5100')
+    expect(tx.toEnvelope().v1().tx().ext().sorobanData().resources().readBytes()).toBe(1000)
+})
\ No newline at end of file
@@ -0,0 +1,49 @@
+/*eslint-disable no-undef */
+const {Keypair, Networks, TransactionBuilder} = require('soroban-client')
+const AssetType = require('../src/asset-type')
+const {createTestClient} = require('./test-helper')
+
+const admin = Keypair.random()
+const usd = {type: AssetType.Generic, code: 'USD'}
+const eur = {type: AssetType.Generic, code: 'EUR'}
+
+function createClient(state) {
+    const client = createTestClient()
+    client.getConfigState = async () => state
+    return client
+}
+
+function getCall(envelope) {
+    const tx = TransactionBuilder.fromXDR(envelope, Networks.FUTURENET)
+    return {sequence: tx.sequence, method: tx.operations[0].func.invokeContract()[1].sym().toString()}
+}
+
+const options = {fee: 100, offline: true, sequence: '10'}
+
+test('planConfig should build consecutive admin transactions', async () => {
+    const client = createClient({admin: admin.publicKey(), assets: [usd], period: 300000, base: usd, decimals: 14, resolution: 300})
+    const plan = await client.planConfig({assets: [usd, eur], period: 600000, decimals: 7}, options)
+
+    expect(plan.addAssets).toEqual([eur])
+    expect(plan.conflicts).toEqual([{field: 'decimals', current: 14, desired: 7}])
+    expect(plan.transactions.map(getCall)).toEqual([
+        {sequence: '11', method: 'add_assets'},
+        {sequence: '12', method: 'set_period'}
+    ])
+})
+
+test('planConfig should configure the contract in a single transaction', async () => {
+    const client = createClient({admin: null, assets: [], period: null, base: usd, decimals: 14, resolution: 300})
+    const plan = await client.planConfig({admin: admin.publicKey(), assets: [usd, eur], period: 600000}, options)
+
+    expect(plan.initialize).toBe(true)
+    expect(plan.transactions.map(getCall)).toEqual([{sequence: '11', method: 'config'}])
+})
+
+test('planConfig should return empty plan if nothing changes', async () => {
+    const client = createClient({admin: admin.publicKey(), assets: [usd], period: 300000, base: usd, decimals: 14, resolution: 300})
+    const plan = await client.planConfig({assets: [usd], period: 300000}, options)
+
+    expect(plan.transactions).toEqual([])
+    expect(await client.applyConfig([admin], plan)).toEqual([])
+})
\ No newline at end of file
@@ -0,0 +1,79 @@
+/*eslint-disable no-undef */
+const {Keypair, Networks, Server, Account, StrKey, xdr, hash} = require('soroban-client')
+const OracleClient = require('../src/client')
+const AssetType = require('../src/asset-type')
+const {buildSorobanData} = require('../src/utils/transaction-helper')
+const {getDeployedContractId, normalizeSalt} = require('../src/utils/deploy-helper')
+
+const deployer = Keypair.random()
+const wasm = Buffer.from('0061736d01000000', 'hex')
+const salt = Buffer.alloc(32, 1)
+
+function mockServer(wasmUploaded) {
+    const sent = []
+    jest.spyOn(Server.prototype, 'getLedgerEntries').mockImplementation(async () => ({entries: wasmUploaded ? [{xdr: ''}] : []}))
+    jest.spyOn(Server.prototype, 'getAccount').mockImplementation(async accountId => new Account(accountId, String(sent.length)))
+    jest.spyOn(Server.prototype, 'simulateTransaction').mockImplementation(async () => ({
+        results: [{auth: [], xdr: xdr.ScVal.scvVoid().toXDR('base64')}],
+        minResourceFee: '1000',
+        transactionData: buildSorobanData({instructions: 0, readBytes: 0, writeBytes: 0}).toXDR('base64')
+    }))
+    jest.spyOn(Server.prototype, 'sendTransaction').mockImplementation(async tx => {
+        sent.push(tx)
+        return {status: 'PENDING', hash: tx.hash().toString('hex')}
+    })
+    jest.spyOn(Server.prototype, 'getTransaction').mockImplementation(async () => ({status: 'SUCCESS'}))
+    return sent
+}
+
+function getHostFunctionType(tx) {
+    return tx.operations[0].func.switch().name
+}
+
+afterEach(() => jest.restoreAllMocks())
+
+test('getDeployedContractId should derive contract ID from deployer and salt', () => {
+    const contractId = getDeployedContractId(Networks.FUTURENET, deployer.publicKey(), salt)
+
+    expect(StrKey.isValidContract(contractId)).toBe(true)
+    expect(getDeployedContractId(Networks.FUTURENET, deployer.publicKey(), Buffer.from(salt))).toBe(contractId)
+    expect(getDeployedContractId(Networks.TESTNET, deployer.publicKey(), salt)).not.toBe(contractId)
+    expect(normalizeSalt(salt.toString('hex'))).toEqual(salt)
+    expect(() => normalizeSalt('00')).toThrow(RangeError)
+})
+
+test('deploy should upload WASM, create and configure the contract', async () => {
+    const sent = mockServer(false)
+    const client = await OracleClient.deploy({
+        wasm,
+        source: deployer.publicKey(),
+        signers: [deployer],
+        network: Networks.FUTURENET,
+        horizonUrl: 'http://localhost:8000',
+        salt,
+        config: {admin: deployer.publicKey(), assets: [{type: AssetType.Generic, code: 'USD'}], period: 300000}
+    })
+
+    expect(client.contractId).toBe(getDeployedContractId(Networks.FUTURENET, deployer.publicKey(), salt))
+    expect(sent.map(getHostFunctionType)).toEqual([
+        'hostFunctionTypeUploadContractWasm',
+        'hostFunctionTypeCreateContract',
+        'hostFunctionTypeInvokeContract'
+    ])
+    expect(sent[0].operations[0].func.wasm()).toEqual(wasm)
+    expect(sent[1].operations[0].func.createContract().executable().wasmHash()).toEqual(hash(wasm))
+    expect(sent.every(tx => deployer.verify(tx.hash(), tx.signatures[0].signature()))).toBe(true)
+})
+
+test('deploy should skip upload of the existing WASM', async () => {
+    const sent = mockServer(true)
+    await OracleClient.deploy({
+        wasm,
+        source: deployer.publicKey(),
+        signers: [deployer],
+        network: Networks.FUTURENET,
+        horizonUrl: 'http://localhost:8000'
+    })
+
+    expect(sent.map(getHostFunctionType)).toEqual(['hostFunctionTypeCreateContract'])
+})
\ No newline at end of file
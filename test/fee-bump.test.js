@@ -0,0 +1,108 @@
+/*eslint-disable no-undef */
+const {Keypair, TransactionBuilder, Account, Operation, Networks} = require('soroban-client')
+const {TransactionTimeoutError, SubmitError} = require('../src/errors')
+const {buildSorobanData} = require('../src/utils/transaction-helper')
+const {createTestClient} = require('./test-helper')
+
+const source = Keypair.random()
+const feePayer = Keypair.random()
+
+function buildTransaction(timeout = 0, resourceFee = 0) {
+    const builder = new TransactionBuilder(new Account(source.publicKey(), '1'), {fee: 100 + resourceFee, networkPassphrase: Networks.FUTURENET})
+        .addOperation(Operation.bumpSequence({bumpTo: '10'}))
+        .setTimeout(timeout)
+    if (resourceFee)
+        builder.setSorobanData(buildSorobanData({instructions: 1000, readBytes: 0, writeBytes: 0}))
+    return builder.build()
+}
+
+function createClient(confirmAttempt, sendStatus = () => 'PENDING') {
+    const client = createTestClient()
+    const sent = []
+    client.server = {
+        sendTransaction: async tx => {
+            sent.push(tx)
+            const hash = tx.hash().toString('hex')
+            return {hash, status: sendStatus(sent.length)}
+        },
+        getTransaction: async hash => {
+            const index = sent.findIndex(tx => tx.hash().toString('hex') === hash)
+            return {status: index + 1 === confirmAttempt ? 'SUCCESS' : 'NOT_FOUND'}
+        }
+    }
+    return {client, sent}
+}
+
+const submitOptions = {timeout: 1000, pollInterval: 5, maxPollInterval: 10}
+
+test('fee bump should escalate fee until the transaction is applied', async () => {
+    const {client, sent} = createClient(3)
+    const transaction = buildTransaction()
+    const response = await client.submitTransaction(transaction, [source.signDecorated(transaction.hash())], {
+        ...submitOptions,
+        feeBump: {feeSource: feePayer, interval: 20}
+    })
+
+    expect(sent.map(tx => tx.fee)).toEqual(['200', '2000', '20000'])
+    expect(sent[0].feeSource).toBe(feePayer.publicKey())
+    expect(feePayer.verify(sent[0].hash(), sent[0].signatures[0].signature())).toBe(true)
+    expect(response.status).toBe('SUCCESS')
+    expect(response.hashes.length).toBe(3)
+    expect(response.hash).toBe(response.hashes[2])
+})
+
+test('fee bump should return earlier attempt if it was applied', async () => {
+    const {client, sent} = createClient(1)
+    let checks = 0
+    const getTransaction = client.server.getTransaction
+    client.server.getTransaction = async hash => ++checks > 2 ? await getTransaction(hash) : {status: 'NOT_FOUND'}
+    const response = await client.submitTransaction(buildTransaction(), [], {
+        ...submitOptions,
+        feeBump: {feeSource: feePayer.publicKey(), signers: [feePayer], interval: 1}
+    })
+
+    expect(sent.length).toBeGreaterThan(1)
+    expect(response.hash).toBe(response.hashes[0])
+})
+
+test('fee bump should stop at max fee and report hashes on timeout', async () => {
+    const {client, sent} = createClient(0)
+    const error = await client.submitTransaction(buildTransaction(), [], {
+        ...submitOptions,
+        timeout: 100,
+        feeBump: {feeSource: feePayer, interval: 10, maxFee: 1000}
+    }).catch(e => e)
+
+    expect(error).toBeInstanceOf(TransactionTimeoutError)
+    expect(sent.map(tx => tx.fee)).toEqual(['200', '2000'])
+    expect(error.hashes.length).toBe(2)
+})
+
+test('fee bump should throw on rejected submission', async () => {
+    const {client} = createClient(0, () => 'ERROR')
+    await expect(client.submitTransaction(buildTransaction(), [], {...submitOptions, feeBump: {feeSource: feePayer}}))
+        .rejects.toThrow(SubmitError)
+})
+
+test('fee bump should escalate only the inclusion fee and stop raising it at max fee', async () => {
+    const {client, sent} = createClient(0)
+    const error = await client.submitTransaction(buildTransaction(0, 100000), [], {
+        ...submitOptions,
+        timeout: 200,
+        feeBump: {feeSource: feePayer, interval: 10, maxFee: 10000}
+    }).catch(e => e)
+
+    expect(error).toBeInstanceOf(TransactionTimeoutError)
+    expect(sent.map(tx => tx.fee)).toEqual(['100200', '102000', '120000'])
+})
+
+test('fee bump should use conservative max fee by default', async () => {
+    const {client, sent} = createClient(0)
+    await client.submitTransaction(buildTransaction(), [], {
+        ...submitOptions,
+        timeout: 200,
+        feeBump: {feeSource: feePayer, interval: 10}
+    }).catch(() => null)
+
+    expect(sent.map(tx => tx.fee)).toEqual(['200', '2000', '20000'])
+})
\ No newline at end of file
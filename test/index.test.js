@@ -1,9 +1,11 @@
 /*eslint-disable no-undef */
 const crypto = require('crypto')
-const {exec} = require('child_process')
+const fs = require('fs')
+const path = require('path')
 const {Keypair, Server, TransactionBuilder, Operation} = require('soroban-client')
 const Client = require('../src')
 const AssetType = require('../src/asset-type')
+const {assetToString} = require('../src/utils/asset-helper')
 const contractConfig = require('./contract.config')
 
 if (contractConfig.assets.length < 2)
@@ -15,8 +17,6 @@ const server = new Server(contractConfig.horizonUrl)
 
 const extraAsset = {type: AssetType.Generic, code: 'JPY'}
 
-const assetToString = (asset) => !asset ? 'null' : `${asset.type}:${asset.code}`
-
 const priceToString = (price) => !price ? 'null' : `{price: ${price.price.toString()}, timestamp: ${price.timestamp.toString()}}`
 
 
@@ -62,26 +62,15 @@ async function prepare() {
     admin = Keypair.random()
     nodesKeypairs = Array.from({length: 5}, () => (Keypair.random()))
 
-    async function deployContract() {
-        const command = `soroban contract deploy --wasm ./test/se_price_oracle.wasm --source ${admin.secret()} --rpc-url ${contractConfig.horizonUrl} --network-passphrase "${contractConfig.network}"`
-        return await new Promise((resolve, reject) => {
-            exec(command, (error, stdout, stderr) => {
-                if (error) {
-                    console.error(`exec error: ${error}`)
-                    reject(error)
-                    return
-                }
-                if (stderr) {
-                    console.error(`stderr: ${stderr}`)
-                    reject(new Error(stderr))
-                    return
-                }
-                resolve(stdout.trim())
-            })
-        })
-    }
     await createAccount(admin.publicKey())
-    contractId = await deployContract()
+    const deployedClient = await Client.deploy({
+        wasm: fs.readFileSync(path.join(__dirname, 'se_price_oracle.wasm')),
+        source: admin.publicKey(),
+        signers: [admin],
+        network: contractConfig.network,
+        horizonUrl: contractConfig.horizonUrl
+    })
+    contractId = deployedClient.contractId
 
     console.log(`Contract ID: ${contractId}`)
 
@@ -137,9 +126,13 @@ function generateRandomI128() {
     return randomNum
 }
 
-function signTransaction(transaction) {
+function selectSigners() {
     const shuffledSigners = nodesKeypairs.sort(() => 0.5 - Math.random())
-    const selectedSigners = shuffledSigners.slice(0, getMajority(nodesKeypairs.length))
+    return shuffledSigners.slice(0, getMajority(nodesKeypairs.length))
+}
+
+function signTransaction(transaction) {
+    const selectedSigners = selectSigners()
     const txHash = transaction.hash()
     const signatures = []
     for (const signer of selectedSigners) {
@@ -251,6 +244,25 @@ test('set_price', async () => {
     }
 }, 300000)
 
+test('set_price (setPriceAndSubmit)', async () => {
+
+    for (let i = 0; i < 3; i++) {
+        const prices = Array.from({length: contractConfig.assets.length}, () => generateRandomI128())
+
+        const timestamp = lastTimestamp += contractConfig.resolution
+        const signers = selectSigners().map(keypair => new Client.KeypairSigner(keypair))
+        const response = await client.setPriceAndSubmit(
+            signers,
+            account,
+            prices,
+            timestamp,
+            txOptions
+        )
+
+        console.log(`Transaction ID: ${response.hash}, Status: ${response.status}`)
+    }
+}, 300000)
+
 test('set_price (extra price)', async () => {
 
     contractConfig.assets.push(extraAsset)
@@ -283,6 +295,18 @@ test('add_asset (extra asset)', async () => {
     console.log(`Transaction ID: ${response.hash}, Status: ${response.status}`)
 }, 300000)
 
+test('plan_config', async () => {
+    const plan = await client.planConfig({
+        admin: admin.publicKey(),
+        assets: contractConfig.assets,
+        period,
+        decimals: contractConfig.decimals
+    }, txOptions)
+
+    expect(plan.transactions.length).toBe(0)
+    expect(plan.conflicts).toEqual([])
+}, 300000)
+
 //TODO: add test for get_price for extra asset before adding it (must be null) and after adding it (must be valid price)
 
 test('admin', async () => {
@@ -311,7 +335,7 @@ test('base', async () => {
 
     const base = Client.parseBaseResult(response.resultMetaXdr)
 
-    console.log(`Transaction ID: ${response.hash}, Status: ${response.status}, Base: ${assetToString(base)}`)
+    console.log(`Transaction ID: ${response.hash}, Status: ${response.status}, Base: ${base ? assetToString(base) : 'null'}`)
 
     expect(base !== null && base !== undefined).toBe(true)
 
@@ -525,4 +549,40 @@ test('lasttimestamp', async () => {
 
     expect(timestamp).toBeGreaterThan(0)
 
+}, 300000)
+
+test('query', async () => {
+
+    const decimals = await client.query.decimals()
+
+    expect(decimals).toBe(contractConfig.decimals)
+
+    const assets = await client.query.assets()
+
+    expect(assets.length).toEqual(contractConfig.assets.length)
+
+    const price = await client.query.lastPrice(contractConfig.assets[0])
+
+    console.log(`Query price: ${priceToString(price)}`)
+
+    expect(price).toBeDefined()
+
+    const range = await client.query.priceRange(contractConfig.assets[0], lastTimestamp - contractConfig.resolution * 3, lastTimestamp)
+
+    console.log(`Query price range: ${range.map(point => priceToString(point.price)).join(', ')}`)
+
+    expect(range.length).toBe(4)
+
+    const records = await client.query.prices(contractConfig.assets[0], 3)
+
+    const localTwap = await client.query.computeTwap(records, {verify: {asset: contractConfig.assets[0]}})
+
+    console.log(`Local twap: ${localTwap}`)
+
+    const stats = await client.stats(contractConfig.assets[0], 3)
+
+    console.log(`Stats: mean ${stats.mean}, median ${stats.median}, stddev ${stats.stddev}`)
+
+    expect(stats.mean).toBe(localTwap)
+
 }, 300000)
\ No newline at end of file
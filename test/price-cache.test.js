@@ -0,0 +1,62 @@
+/*eslint-disable no-undef */
+const PriceCache = require('../src/price-cache')
+const LruStore = require('../src/lru-store')
+
+test('LruStore should evict the least recently used entries', () => {
+    const store = new LruStore(2)
+    store.set('a', 1)
+    store.set('b', 2)
+    store.get('a')
+    store.set('c', 3)
+    expect(store.get('a')).toBe(1)
+    expect(store.get('b')).toBeUndefined()
+    expect(store.get('c')).toBe(3)
+})
+
+test('PriceCache should expire entries', async () => {
+    const cache = new PriceCache({minTtl: 0})
+    await cache.set('expired', 1, Date.now() - 1)
+    await cache.set('permanent', 2, Infinity)
+    expect(await cache.get('expired')).toBeUndefined()
+    expect(await cache.get('permanent')).toBe(2)
+})
+
+test('PriceCache should keep entries for at least minTtl', async () => {
+    const cache = new PriceCache({minTtl: 60000})
+    await cache.set('overdue', 1, Date.now() - 1)
+    expect(await cache.get('overdue')).toBe(1)
+})
+
+test('PriceCache.getOrFetch should fetch once and skip null values', async () => {
+    const cache = new PriceCache()
+    let calls = 0
+    const fetch = async () => {
+        calls++
+        return 42
+    }
+    const results = await Promise.all([
+        cache.getOrFetch('key', fetch, () => Infinity),
+        cache.getOrFetch('key', fetch, () => Infinity)
+    ])
+    expect(results).toEqual([42, 42])
+    expect(await cache.getOrFetch('key', fetch, () => Infinity)).toBe(42)
+    expect(calls).toBe(1)
+
+    let nullCalls = 0
+    const fetchNull = async () => {
+        nullCalls++
+        return null
+    }
+    await cache.getOrFetch('null', fetchNull, () => Infinity)
+    await cache.getOrFetch('null', fetchNull, () => Infinity)
+    expect(nullCalls).toBe(2)
+})
+
+test('PriceCache should work with custom stores', async () => {
+    const map = new Map()
+    const cache = new PriceCache({store: map})
+    await cache.set('key', 'value', Infinity)
+    expect(map.get('key').value).toBe('value')
+    await cache.clear()
+    expect(map.size).toBe(0)
+})
\ No newline at end of file
@@ -0,0 +1,93 @@
+/*eslint-disable no-undef */
+const {Keypair, xdr} = require('soroban-client')
+const PriceGuard = require('../src/price-guard')
+const PriceViolation = require('../src/price-violation')
+const AssetType = require('../src/asset-type')
+const {PriceGuardError, LedgerCloseTimeError} = require('../src/errors')
+const {buildAssetScVal} = require('../src/utils/scval-helper')
+const {createTestClient} = require('./test-helper')
+
+const source = Keypair.random().publicKey()
+const usd = {type: AssetType.Generic, code: 'USD'}
+const eur = {type: AssetType.Generic, code: 'EUR'}
+const gbp = {type: AssetType.Generic, code: 'GBP'}
+const ledgerCloseTime = 1000000
+
+function createClient(lastPrices) {
+    const client = createTestClient({decimals: 2})
+    client.query.simulate = async () => xdr.ScVal.scvVec([usd, eur, gbp].map(asset => buildAssetScVal(asset, client.network))).value()
+    client.query.lastPrice = async asset => {
+        const price = lastPrices[asset.code]
+        if (price instanceof Error)
+            throw price
+        return price === undefined ? null : {price, timestamp: 1n}
+    }
+    client.server.getTransaction = async () => ({status: 'NOT_FOUND', latestLedgerCloseTime: ledgerCloseTime / 1000})
+    return client
+}
+
+test('check should report deviation and non-positive prices', async () => {
+    const guard = new PriceGuard(createClient({USD: 10000n, EUR: 10000n}), {maxDeviation: 5, deviations: {'generic:EUR': 1}})
+    const report = await guard.check([10500n, 10101n, 0n], ledgerCloseTime)
+
+    expect(report.assets.map(check => check.deviation)).toEqual([5, 1.01, null])
+    expect(report.assets.map(check => check.violations)).toEqual([[], [PriceViolation.Deviation], [PriceViolation.NonPositive]])
+    expect(report.ledgerCloseTime).toBe(null)
+    expect(report.accepted).toBe(false)
+})
+
+test('check should skip assets omitted from keyed updates and missing on-chain prices', async () => {
+    const guard = new PriceGuard(createClient({USD: 10000n}), {maxDeviation: 5})
+    const report = await guard.check(new Map([[gbp, 1n], [usd, '100.01']]), ledgerCloseTime)
+
+    expect(report.assets.map(check => check.asset)).toEqual([usd, gbp])
+    expect(report.assets.map(check => check.lastPrice)).toEqual([{price: 10000n, timestamp: 1n}, null])
+    expect(report.accepted).toBe(true)
+})
+
+test('check should reject prices that could not be compared with the on-chain price unless overridden', async () => {
+    const fetchError = new Error('RPC failed')
+    const guard = new PriceGuard(createClient({USD: 10000n, GBP: fetchError}), {maxDeviation: 5})
+    const report = await guard.check(new Map([[gbp, 1n], [usd, 10000n]]), ledgerCloseTime)
+
+    expect(report.assets[1].fetchError).toBe(fetchError)
+    expect(report.assets[1].violations).toEqual([PriceViolation.Unavailable])
+    expect(report.accepted).toBe(false)
+    expect((await guard.check(new Map([[gbp, 1n], [usd, 10000n]]), ledgerCloseTime, {assets: [gbp]})).accepted).toBe(true)
+})
+
+test('check should compare timestamp with the ledger close time', async () => {
+    const guard = new PriceGuard(createClient({}), {maxAge: 60000, maxAhead: 5000})
+
+    expect((await guard.check([1n, 1n, 1n], ledgerCloseTime - 60000)).accepted).toBe(true)
+    const stale = await guard.check([1n, 1n, 1n], ledgerCloseTime - 90000)
+    expect(stale.ledgerCloseTime).toBe(ledgerCloseTime)
+    expect(stale.timestampViolations).toEqual([PriceViolation.Stale])
+    expect((await guard.check([1n, 1n, 1n], ledgerCloseTime + 30000)).timestampViolations).toEqual([PriceViolation.Future])
+    expect((await guard.check([1n, 1n, 1n], ledgerCloseTime + 30000, {timestamp: true})).accepted).toBe(true)
+})
+
+test('check should throw if the ledger close time is missing', async () => {
+    const client = createClient({})
+    client.server.getTransaction = async () => ({status: 'NOT_FOUND'})
+
+    await expect(new PriceGuard(client, {maxAge: 60000}).check([1n, 1n, 1n], ledgerCloseTime)).rejects.toThrow(LedgerCloseTimeError)
+    expect((await new PriceGuard(client, {}).check([1n, 1n, 1n], ledgerCloseTime)).ledgerCloseTime).toBe(null)
+})
+
+test('setPrice should reject updates unless overridden', async () => {
+    const client = createClient({USD: 10000n})
+    const guard = new PriceGuard(client, {maxDeviation: 5})
+    const options = {fee: 100, offline: true, sequence: '1'}
+
+    const error = await guard.setPrice(source, [20000n, 1n, 1n], ledgerCloseTime, options).catch(e => e)
+    expect(error).toBeInstanceOf(PriceGuardError)
+    expect(error.report.assets[0].violations).toEqual([PriceViolation.Deviation])
+
+    const {transaction, report} = await guard.setPrice(source, [20000n, 1n, 1n], ledgerCloseTime, options, {assets: [usd]})
+    expect(typeof transaction).toBe('string')
+    expect(report.assets[0].overridden).toBe(true)
+
+    const flagged = await new PriceGuard(client, {maxDeviation: 5, flagOnly: true}).setPrice(source, [20000n, 1n, 1n], ledgerCloseTime, options)
+    expect(flagged.report.accepted).toBe(false)
+})
\ No newline at end of file
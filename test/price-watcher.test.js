@@ -0,0 +1,73 @@
+/*eslint-disable no-undef */
+const PriceWatcher = require('../src/price-watcher')
+const AssetType = require('../src/asset-type')
+const {createTestClient} = require('./test-helper')
+
+const usd = {type: AssetType.Generic, code: 'USD'}
+const eur = {type: AssetType.Generic, code: 'EUR'}
+
+function createClient(state) {
+    const client = createTestClient()
+    Object.assign(client.query, {
+        lastTimestamp: async () => state.lastTimestamp,
+        resolution: async () => 30,
+        getAssetKey: asset => asset.code,
+        getPairKey: (baseAsset, quoteAsset) => `${baseAsset.code}/${quoteAsset.code}`,
+        lastPrices: async assets => new Map(assets.map(asset => [asset.code, {price: {price: 1n, timestamp: BigInt(state.lastTimestamp)}, error: null}])),
+        xLastPrices: async pairs => new Map(pairs.map(([base, quote]) => [`${base.code}/${quote.code}`, {price: null, error: new Error('Pair failed')}]))
+    })
+    return client
+}
+
+test('PriceWatcher should emit prices once per new timestamp', async () => {
+    const state = {lastTimestamp: Date.now()}
+    const watcher = new PriceWatcher(createClient(state), {assets: [usd, eur], pairs: [[usd, eur]]})
+    const updates = []
+    const errors = []
+    watcher.on('price', update => updates.push(update))
+    watcher.on('error', error => errors.push(error))
+
+    await watcher.poll()
+    await watcher.poll()
+    expect(updates.map(u => u.asset)).toEqual([usd, eur])
+    expect(errors.length).toBe(1)
+
+    state.lastTimestamp += 30000
+    await watcher.poll()
+    expect(updates.length).toBe(4)
+    expect(updates[3].timestamp).toBe(state.lastTimestamp)
+})
+
+test('PriceWatcher should emit stale event once per stale timestamp', async () => {
+    const state = {lastTimestamp: Date.now() - 90000}
+    const watcher = new PriceWatcher(createClient(state), {stalePeriods: 2})
+    await watcher.poll()
+    const staleEvents = []
+    watcher.on('stale', e => staleEvents.push(e))
+    await watcher.poll()
+    await watcher.poll()
+    expect(staleEvents.length).toBe(1)
+    expect(staleEvents[0].lastTimestamp).toBe(state.lastTimestamp)
+})
+
+test('PriceWatcher async iterator should yield updates and stop on return', async () => {
+    const state = {lastTimestamp: Date.now()}
+    const watcher = new PriceWatcher(createClient(state), {assets: [usd], pollInterval: 10})
+    const received = []
+    for await (const update of watcher) {
+        received.push(update)
+        state.lastTimestamp += 30000
+        if (received.length === 3)
+            break
+    }
+    expect(received.length).toBe(3)
+    expect(watcher.isRunning).toBe(false)
+})
+
+test('PriceWatcher should keep the last error if there are no error listeners', async () => {
+    const state = {lastTimestamp: Date.now()}
+    const watcher = new PriceWatcher(createClient(state), {pairs: [[usd, eur]]})
+
+    await expect(watcher.poll()).resolves.toBeUndefined()
+    expect(watcher.lastError?.message).toBe('Pair failed')
+})
\ No newline at end of file
@@ -0,0 +1,103 @@
+/*eslint-disable no-undef */
+const OracleQuery = require('../src/query')
+const AssetType = require('../src/asset-type')
+const PriceFormatter = require('../src/price-formatter')
+const {PriceVerificationError} = require('../src/errors')
+
+const usd = {type: AssetType.Generic, code: 'USD'}
+const eur = {type: AssetType.Generic, code: 'EUR'}
+
+function createQuery(prices) {
+    const query = new OracleQuery({})
+    const reads = []
+    query.resolution = async () => 30
+    query.price = async (asset, timestamp) => {
+        reads.push(timestamp)
+        return prices.has(timestamp) ? {price: prices.get(timestamp), timestamp: BigInt(timestamp)} : null
+    }
+    query.xPrice = async (baseAsset, quoteAsset, timestamp) => {
+        reads.push(timestamp)
+        return {price: 1n, timestamp: BigInt(timestamp)}
+    }
+    return {query, reads}
+}
+
+test('priceRange should align timestamps to resolution and fill gaps with null', async () => {
+    const {query} = createQuery(new Map([[30000, 1n], [90000, 3n]]))
+    const range = await query.priceRange(usd, 10000, 100000)
+
+    expect(range.map(p => p.timestamp)).toEqual([30000, 60000, 90000])
+    expect(range.map(p => p.price?.price ?? null)).toEqual([1n, null, 3n])
+})
+
+test('priceRange should round step to resolution', async () => {
+    const {query} = createQuery(new Map())
+    const range = await query.priceRange(usd, 0, 300000, {step: 100000})
+
+    expect(range.map(p => p.timestamp)).toEqual([0, 90000, 180000, 270000])
+})
+
+test('iteratePriceRange should read prices in chunks', async () => {
+    const {query, reads} = createQuery(new Map())
+    const iterator = query.iteratePriceRange(usd, 0, 30000 * 9, {chunkSize: 4})
+
+    await iterator.next()
+    expect(reads.length).toBe(4)
+    let count = 1
+    for await (const point of iterator)
+        count += point.price === null ? 1 : 0
+    expect(count).toBe(10)
+    expect(reads.length).toBe(10)
+})
+
+test('xPriceRange should return cross prices', async () => {
+    const {query} = createQuery(new Map())
+    const range = await query.xPriceRange(usd, eur, 30000, 60000)
+
+    expect(range.map(p => p.price.price)).toEqual([1n, 1n])
+})
+
+test('computeXPrices should verify local result against the contract', async () => {
+    const query = new OracleQuery({options: {}, getPriceFormatter: async () => ({decimals: 2})})
+    const base = [{price: 300n, timestamp: 2n}, {price: 200n, timestamp: 1n}]
+    const quote = [{price: 200n, timestamp: 2n}, {price: 100n, timestamp: 1n}]
+    query.xPrices = async () => [{price: 150n, timestamp: 2n}, {price: 200n, timestamp: 1n}]
+    query.xTwap = async () => 176n
+
+    expect(await query.computeXPrices(base, quote, {verify: {baseAsset: usd, quoteAsset: eur}}))
+        .toEqual([{price: 150n, timestamp: 2n}, {price: 200n, timestamp: 1n}])
+    await expect(query.computeXTwap(base, quote, {verify: {baseAsset: usd, quoteAsset: eur}}))
+        .rejects.toThrow(PriceVerificationError)
+    expect(await query.computeXTwap(base, quote)).toBe(175n)
+})
+
+test('formatPrices should not modify the original price objects', async () => {
+    const query = new OracleQuery({options: {formatPrices: true}, getPriceFormatter: async () => new PriceFormatter(2)})
+    const cached = {price: 150n, timestamp: 2n}
+
+    const [formatted] = await query.formatPrices([cached])
+    expect(formatted).toEqual({price: 150n, timestamp: 2n, decimalPrice: '1.5'})
+    expect(cached).toEqual({price: 150n, timestamp: 2n})
+    expect(await query.formatPrice(cached)).not.toBe(cached)
+})
+
+test('lastPrices and xLastPrices should report failed assets without rejecting the batch', async () => {
+    const query = new OracleQuery({})
+    const error = new Error('RPC failed')
+    query.lastPrice = async asset => {
+        if (asset.code === 'EUR')
+            throw error
+        return {price: 1n, timestamp: 1n}
+    }
+    query.xLastPrice = async () => {
+        throw error
+    }
+
+    const prices = await query.lastPrices([usd, {...eur}])
+    expect([...prices.keys()]).toEqual(['generic:USD', 'generic:EUR'])
+    expect(prices.get(query.getAssetKey(usd))).toEqual({price: {price: 1n, timestamp: 1n}, error: null})
+    expect(prices.get(query.getAssetKey(eur))).toEqual({price: null, error})
+
+    const pairPrices = await query.xLastPrices([[usd, eur]])
+    expect(pairPrices.get('generic:USD/generic:EUR')).toEqual({price: null, error})
+})
\ No newline at end of file
@@ -0,0 +1,118 @@
+/*eslint-disable no-undef */
+const {Keypair, Account} = require('soroban-client')
+const {SubmitError} = require('../src/errors')
+const SequenceManager = require('../src/sequence-manager')
+const {createTestClient, resources, buildResultXdr} = require('./test-helper')
+
+const admin = Keypair.random()
+const channels = [Keypair.random(), Keypair.random()]
+
+function createClient(options, accounts = {}) {
+    const client = createTestClient(options)
+    const loads = []
+    client.server = {
+        getAccount: async accountId => {
+            loads.push(accountId)
+            return new Account(accountId, accounts[accountId] || '100')
+        }
+    }
+    return {client, loads}
+}
+
+test('SequenceManager should reserve unique sequences and load the account once', async () => {
+    const {client, loads} = createClient()
+    const manager = new SequenceManager(client)
+    const accounts = await Promise.all([1, 2, 3].map(() => manager.reserve(admin.publicKey())))
+
+    expect(accounts.map(a => a.sequenceNumber())).toEqual(['100', '101', '102'])
+    expect(loads.length).toBe(1)
+
+    manager.release(admin.publicKey(), 103n)
+    expect((await manager.reserve(admin.publicKey())).sequenceNumber()).toBe('102')
+
+    manager.resync(admin.publicKey())
+    expect((await manager.reserve(admin.publicKey())).sequenceNumber()).toBe('100')
+    expect(loads.length).toBe(2)
+})
+
+test('SequenceManager should reuse released sequences before the new ones', async () => {
+    const {client} = createClient()
+    const manager = new SequenceManager(client)
+    for (let i = 0; i < 4; i++)
+        await manager.reserve(admin.publicKey()) //101-104
+
+    manager.release(admin.publicKey(), 103n)
+    manager.release(admin.publicKey(), 102n)
+    manager.release(admin.publicKey(), 200n) //never reserved
+    const accounts = await Promise.all([1, 2, 3].map(() => manager.reserve(admin.publicKey())))
+    expect(accounts.map(a => a.sequenceNumber())).toEqual(['101', '102', '104'])
+
+    manager.release(admin.publicKey(), 104n)
+    manager.release(admin.publicKey(), 105n)
+    expect((await manager.reserve(admin.publicKey())).sequenceNumber()).toBe('103')
+})
+
+test('discardTransaction should return the sequence of a transaction that was not submitted', async () => {
+    const {client} = createClient({manageSequence: true})
+    const discarded = await client.setPeriod(admin.publicKey(), 1000, {fee: 100, resources})
+    const next = await client.setPeriod(admin.publicKey(), 1000, {fee: 100, resources})
+    client.discardTransaction(discarded.toXDR())
+
+    expect((await client.setPeriod(admin.publicKey(), 1000, {fee: 100, resources})).sequence).toBe(discarded.sequence)
+    expect((await client.setPeriod(admin.publicKey(), 1000, {fee: 100, resources})).sequence).toBe((BigInt(next.sequence) + 1n).toString())
+})
+
+test('SequenceManager should reload account after failed load', async () => {
+    const {client} = createClient()
+    const manager = new SequenceManager(client)
+    const getAccount = client.server.getAccount
+    client.server.getAccount = async () => {
+        throw new Error('Network error')
+    }
+    await expect(manager.reserve(admin.publicKey())).rejects.toThrow('Network error')
+    client.server.getAccount = getAccount
+    expect((await manager.reserve(admin.publicKey())).sequenceNumber()).toBe('100')
+})
+
+test('client should rotate channel accounts', async () => {
+    const {client} = createClient({channels: channels.map(c => c.publicKey())})
+    const first = await client.setPeriod(admin.publicKey(), 1000, {fee: 100, resources})
+    const second = await client.setPeriod(admin.publicKey(), 1000, {fee: 100, resources})
+    const third = await client.setPeriod(admin.publicKey(), 1000, {fee: 100, resources})
+
+    expect([first, second, third].map(tx => tx.source)).toEqual([channels[0].publicKey(), channels[1].publicKey(), channels[0].publicKey()])
+    expect(first.operations[0].source).toBe(admin.publicKey())
+    expect(third.sequence).toBe('102')
+})
+
+test('setPriceAndSubmit should resync and rebuild the transaction on txBadSeq', async () => {
+    const {client, loads} = createClient({manageSequence: true, channels: channels.map(c => c.publicKey())})
+    const sent = []
+    client.server.sendTransaction = async tx => {
+        sent.push(tx)
+        if (sent.length === 1)
+            return {hash: 'a', status: 'ERROR', errorResultXdr: buildResultXdr('txBadSeq')}
+        return {hash: 'b', status: 'PENDING'}
+    }
+    client.server.getTransaction = async () => ({status: 'SUCCESS'})
+
+    const response = await client.setPriceAndSubmit([admin, ...channels], admin.publicKey(), [1n], 1000, {fee: 100, resources})
+    expect(response.hash).toBe('b')
+    expect(loads.length).toBe(2)
+    expect(sent[1].source).toBe(channels[1].publicKey())
+    expect(sent[1].sequence).toBe('101')
+    expect(sent.map(tx => tx.signatures.length)).toEqual([2, 2]) //admin and the used channel
+})
+
+test('setPriceAndSubmit should not retry txBadSeq for Account source', async () => {
+    const {client} = createClient({manageSequence: true})
+    const sent = []
+    client.server.sendTransaction = async tx => {
+        sent.push(tx)
+        return {hash: 'a', status: 'ERROR', errorResultXdr: buildResultXdr('txBadSeq')}
+    }
+
+    const source = new Account(admin.publicKey(), '100')
+    await expect(client.setPriceAndSubmit([admin], source, [1n], 1000, {fee: 100, resources})).rejects.toThrow(SubmitError)
+    expect(sent.length).toBe(1)
+})
\ No newline at end of file
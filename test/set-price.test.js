@@ -0,0 +1,101 @@
+/*eslint-disable no-undef */
+const {Keypair, Networks, TransactionBuilder, xdr} = require('soroban-client')
+const AssetType = require('../src/asset-type')
+const {PriceUpdateError, OfflineModeError} = require('../src/errors')
+const {hiLoToI128} = require('../src/utils/i128-helper')
+const {buildAssetScVal} = require('../src/utils/scval-helper')
+const {createTestClient, resources} = require('./test-helper')
+
+const source = Keypair.random().publicKey()
+const usd = {type: AssetType.Generic, code: 'USD'}
+const eur = {type: AssetType.Generic, code: 'EUR'}
+const gbp = {type: AssetType.Generic, code: 'GBP'}
+
+function createClient(...assetLists) {
+    const client = createTestClient({decimals: 2, cache: true})
+    let loads = 0
+    client.query.simulate = async () => {
+        const assets = assetLists[Math.min(loads++, assetLists.length - 1)]
+        return xdr.ScVal.scvVec(assets.map(asset => buildAssetScVal(asset, client.network))).value()
+    }
+    client.query.resolution = async () => 30
+    client.query.lastTimestamp = async () => 60000
+    return {client, getLoads: () => loads}
+}
+
+function getPrices(transaction) {
+    const tx = typeof transaction === 'string' ? TransactionBuilder.fromXDR(transaction, Networks.FUTURENET) : transaction
+    const [, , , prices] = tx.operations[0].func.invokeContract()
+    return prices.vec().map(price => hiLoToI128(price.i128().hi().toString(), price.i128().lo().toString()))
+}
+
+const options = {fee: 100, sequence: '1', resources}
+const offlineOptions = {fee: 100, offline: true, sequence: '1'}
+
+test('setPrice should order keyed updates by the registered assets', async () => {
+    const {client, getLoads} = createClient([usd, eur])
+    const tx = await client.setPrice(source, new Map([[eur, '1.5'], [usd, 3n]]), 90000, options)
+
+    expect(getPrices(tx)).toEqual([3n, 150n])
+    await client.setPrice(source, [{asset: usd, price: 1n}], 90000, options)
+    expect(getLoads()).toBe(1)
+})
+
+test('setPrice should load registered assets once without the query cache', async () => {
+    const {client, getLoads} = createClient([usd, eur])
+    client.cache = null
+
+    for (const price of [1n, 2n, 3n])
+        expect(getPrices(await client.setPrice(source, [{asset: eur, price}], 90000, options))).toEqual([0n, price])
+    expect(getLoads()).toBe(1)
+})
+
+test('setPrice should reload assets for unknown keyed updates', async () => {
+    const {client, getLoads} = createClient([usd, eur], [usd, eur, gbp])
+    const tx = await client.setPrice(source, [{asset: gbp, price: 7n}], 90000, options)
+
+    expect(getPrices(tx)).toEqual([0n, 0n, 7n])
+    expect(getLoads()).toBe(2)
+})
+
+test('setPrice should validate updates against the contract state', async () => {
+    const {client} = createClient([usd, eur])
+    const validated = {...options, validate: true}
+
+    expect(getPrices(await client.setPrice(source, [1n, 2n], 90000, validated))).toEqual([1n, 2n])
+    await expect(client.setPrice(source, [1n], 90000, validated)).rejects.toThrow('Expected 2 prices')
+    await expect(client.setPrice(source, [1n, 2n], 90001, validated)).rejects.toThrow(PriceUpdateError)
+    await expect(client.setPrice(source, [1n, 2n], 60000, validated)).rejects.toThrow('not newer')
+    await expect(client.setPrice(source, [1n, 2n ** 127n], 90000, options)).rejects.toThrow(PriceUpdateError)
+})
+
+test('setPrice should reject assets that are not registered', async () => {
+    const {client, getLoads} = createClient([usd, eur])
+
+    await expect(client.setPrice(source, [{asset: gbp, price: 7n}], 90000, options)).rejects.toThrow('is not registered')
+    expect(getLoads()).toBe(2)
+})
+
+test('setPrice should require sequence in offline mode', async () => {
+    const {client} = createClient([usd, eur])
+    await expect(client.setPrice(source, [1n, 2n], 90000, {fee: 100, offline: true})).rejects.toThrow(OfflineModeError)
+})
+
+test('setPrice should not load the contract state in offline mode', async () => {
+    const {client, getLoads} = createClient([usd, eur])
+
+    expect(getPrices(await client.setPrice(source, [1n, '2'], 90000, offlineOptions))).toEqual([1n, 200n])
+    expect(getPrices(await client.setPrice(source, [{asset: eur, price: 5n}], 90000, {...offlineOptions, assets: [usd, eur]})))
+        .toEqual([0n, 5n])
+    await expect(client.setPrice(source, [{asset: eur, price: 5n}], 90000, offlineOptions)).rejects.toThrow(OfflineModeError)
+    await expect(client.setPrice(source, [1n, 2n], 90000, {...offlineOptions, validate: true})).rejects.toThrow(OfflineModeError)
+    expect(getLoads()).toBe(0)
+})
+
+test('setPrice should require the decimals option for decimal prices in offline mode', async () => {
+    const client = createTestClient()
+    const simulate = jest.spyOn(client.server, 'simulateTransaction')
+
+    await expect(client.setPrice(source, [1n, '1.5'], 90000, offlineOptions)).rejects.toThrow(OfflineModeError)
+    expect(simulate).not.toHaveBeenCalled()
+})
\ No newline at end of file
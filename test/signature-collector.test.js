@@ -0,0 +1,66 @@
+/*eslint-disable no-undef */
+const {Keypair, TransactionBuilder, Account, Operation, Networks} = require('soroban-client')
+const SignatureCollector = require('../src/signature-collector')
+const {SignatureError} = require('../src/errors')
+
+const source = Keypair.random()
+const cosigners = [Keypair.random(), Keypair.random()]
+const signers = [
+    {key: source.publicKey(), weight: 1},
+    {key: cosigners[0].publicKey(), weight: 1},
+    {key: cosigners[1].publicKey(), weight: 2}
+]
+
+function buildTransaction() {
+    return new TransactionBuilder(new Account(source.publicKey(), '1'), {fee: 100, networkPassphrase: Networks.FUTURENET})
+        .addOperation(Operation.bumpSequence({bumpTo: '10'}))
+        .setTimeout(30)
+        .build()
+}
+
+test('SignatureCollector should accept decorated and raw signatures in any order', async () => {
+    const transaction = buildTransaction()
+    const collector = new SignatureCollector({}, transaction, {signers, threshold: 3})
+
+    expect(await collector.addSignature(cosigners[1].signDecorated(transaction.hash()))).toBe(true)
+    expect(collector.isThresholdMet).toBe(false)
+    expect(await collector.addSignature(source.sign(transaction.hash()).toString('base64'), source.publicKey())).toBe(true)
+    expect(collector.weight).toBe(3)
+    expect(collector.isThresholdMet).toBe(true)
+    expect(collector.signatures.length).toBe(2)
+})
+
+test('SignatureCollector should ignore duplicate signatures', async () => {
+    const transaction = buildTransaction()
+    const collector = new SignatureCollector({}, transaction, {signers, threshold: 3})
+    const signature = cosigners[0].sign(transaction.hash())
+
+    expect(await collector.addSignature(signature)).toBe(true)
+    expect(await collector.addSignature(cosigners[0].signDecorated(transaction.hash()))).toBe(false)
+    expect(collector.weight).toBe(1)
+})
+
+test('SignatureCollector should reject invalid and unknown signatures', async () => {
+    const transaction = buildTransaction()
+    const collector = new SignatureCollector({}, transaction, {signers, threshold: 3})
+    const stranger = Keypair.random()
+
+    await expect(collector.addSignature(stranger.signDecorated(transaction.hash()))).rejects.toThrow(SignatureError)
+    await expect(collector.addSignature(cosigners[0].sign(Buffer.alloc(32)), cosigners[0].publicKey())).rejects.toThrow('Invalid transaction signature')
+    await expect(collector.addSignature(Buffer.alloc(10))).rejects.toThrow(SignatureError)
+    await expect(collector.submit()).rejects.toThrow('below the threshold')
+})
+
+test('SignatureCollector should load signers from the source account and submit', async () => {
+    const transaction = buildTransaction()
+    const client = {
+        getAccountSigners: async () => ({signers, thresholds: {low: 1, med: 2, high: 3}}),
+        submitTransaction: async (tx, signatures) => ({status: 'SUCCESS', signatures})
+    }
+    const collector = new SignatureCollector(client, transaction)
+
+    await collector.addSignature(cosigners[1].signDecorated(transaction.hash()))
+    expect(collector.threshold).toBe(2)
+    const response = await collector.submit()
+    expect(response.signatures.length).toBe(1)
+})
\ No newline at end of file
@@ -0,0 +1,103 @@
+/*eslint-disable no-undef */
+const {Keypair, TransactionBuilder, Account, Operation, Networks} = require('soroban-client')
+const KeypairSigner = require('../src/keypair-signer')
+const RemoteSigner = require('../src/remote-signer')
+const {SignatureError, LedgerEntryNotFoundError} = require('../src/errors')
+const {createTestClient} = require('./test-helper')
+
+const keypair = Keypair.random()
+
+function buildTransaction() {
+    return new TransactionBuilder(new Account(keypair.publicKey(), '1'), {fee: 100, networkPassphrase: Networks.FUTURENET})
+        .addOperation(Operation.bumpSequence({bumpTo: '10'}))
+        .setTimeout(30)
+        .build()
+}
+
+function mockFetch(respond) {
+    const originalFetch = global.fetch
+    const requests = []
+    global.fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body))
+        return respond(JSON.parse(init.body))
+    }
+    return {requests, restore: () => global.fetch = originalFetch}
+}
+
+test('KeypairSigner should produce decorated signature', async () => {
+    const transaction = buildTransaction()
+    const signature = await new KeypairSigner(keypair).signTransaction(transaction)
+    expect(signature.hint()).toEqual(keypair.signatureHint())
+    expect(keypair.verify(transaction.hash(), signature.signature())).toBe(true)
+})
+
+test('RemoteSigner should request and verify signature', async () => {
+    const transaction = buildTransaction()
+    const signer = new RemoteSigner({url: 'http://signer', publicKey: keypair.publicKey()})
+    const fetchMock = mockFetch(body => ({
+        ok: true,
+        json: async () => ({signature: keypair.sign(Buffer.from(body.hash, 'hex')).toString('base64')})
+    }))
+    try {
+        const signature = await signer.signTransaction(transaction)
+        expect(keypair.verify(transaction.hash(), signature.signature())).toBe(true)
+        expect(fetchMock.requests[0].transaction).toBe(transaction.toXDR())
+    } finally {
+        fetchMock.restore()
+    }
+})
+
+test('RemoteSigner should reject invalid signatures and failed requests', async () => {
+    const transaction = buildTransaction()
+    const signer = new RemoteSigner({url: 'http://signer', publicKey: keypair.publicKey()})
+    let fetchMock = mockFetch(() => ({ok: true, json: async () => ({signature: Keypair.random().sign(transaction.hash()).toString('base64')})}))
+    try {
+        await expect(signer.signTransaction(transaction)).rejects.toThrow(SignatureError)
+    } finally {
+        fetchMock.restore()
+    }
+    fetchMock = mockFetch(() => ({ok: false, status: 403}))
+    try {
+        await expect(signer.signTransaction(transaction)).rejects.toThrow('status 403')
+    } finally {
+        fetchMock.restore()
+    }
+})
+
+test('RemoteSigner should use fetch implementation from the options', async () => {
+    const transaction = buildTransaction()
+    const urls = []
+    const signer = new RemoteSigner({
+        url: 'http://signer',
+        publicKey: keypair.publicKey(),
+        fetch: async (url, init) => {
+            urls.push(url)
+            const {hash} = JSON.parse(init.body)
+            return {ok: true, json: async () => ({signature: keypair.sign(Buffer.from(hash, 'hex')).toString('base64')})}
+        }
+    })
+
+    const signature = await signer.signTransaction(transaction)
+    expect(keypair.verify(transaction.hash(), signature.signature())).toBe(true)
+    expect(urls).toEqual(['http://signer'])
+})
+
+test('signAndSubmit should sign with all signers', async () => {
+    const client = createTestClient()
+    client.submitTransaction = async (transaction, signatures) => ({status: 'SUCCESS', signatures})
+    const other = Keypair.random()
+    const transaction = buildTransaction()
+
+    const response = await client.signAndSubmit(transaction.toXDR(), [keypair, new KeypairSigner(other)])
+    expect(response.signatures.map(s => s.hint())).toEqual([keypair.signatureHint(), other.signatureHint()])
+})
+
+test('getAccountSigners should throw LedgerEntryNotFoundError for missing accounts', async () => {
+    const client = createTestClient()
+    client.server.getLedgerEntries = async () => ({entries: []})
+
+    const error = await client.getAccountSigners(keypair.publicKey()).catch(e => e)
+    expect(error).toBeInstanceOf(LedgerEntryNotFoundError)
+    expect(error.id).toBe(keypair.publicKey())
+    expect(error.message).toBe(`Account not found: ${keypair.publicKey()}`)
+})
\ No newline at end of file
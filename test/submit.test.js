@@ -0,0 +1,85 @@
+/*eslint-disable no-undef */
+const {Keypair, TransactionBuilder, Account, Operation, Networks} = require('soroban-client')
+const {SubmitError, TransactionTimeoutError, TransactionFailedError} = require('../src/errors')
+const {createTestClient, buildResultXdr} = require('./test-helper')
+
+const source = Keypair.random()
+
+function buildTransaction() {
+    return new TransactionBuilder(new Account(source.publicKey(), '1'), {fee: 100, networkPassphrase: Networks.FUTURENET})
+        .addOperation(Operation.bumpSequence({bumpTo: '10'}))
+        .setTimeout(0)
+        .build()
+}
+
+function createClient(statuses, sendResponse = {status: 'PENDING'}) {
+    const client = createTestClient()
+    const checks = []
+    client.server = {
+        sendTransaction: async tx => ({hash: tx.hash().toString('hex'), ...sendResponse}),
+        getTransaction: async () => {
+            checks.push(Date.now())
+            return {status: statuses[Math.min(checks.length - 1, statuses.length - 1)]}
+        }
+    }
+    return {client, checks}
+}
+
+afterEach(() => jest.useRealTimers())
+
+test('waitForTransaction should back off up to maxPollInterval', async () => {
+    jest.useFakeTimers()
+    const {client, checks} = createClient(['NOT_FOUND', 'NOT_FOUND', 'NOT_FOUND', 'NOT_FOUND', 'NOT_FOUND', 'SUCCESS'])
+    const result = client.waitForTransaction('hash', {pollInterval: 100, maxPollInterval: 300})
+    await jest.advanceTimersByTimeAsync(2000)
+
+    const response = await result
+    expect(response.status).toBe('SUCCESS')
+    expect(response.hash).toBe('hash')
+    expect(checks.slice(1).map((time, i) => time - checks[i])).toEqual([100, 200, 300, 300, 300])
+})
+
+test('waitForTransaction should throw after the deadline', async () => {
+    jest.useFakeTimers()
+    const {client, checks} = createClient(['NOT_FOUND'])
+    const result = client.waitForTransaction('hash', {timeout: 1000, pollInterval: 400, maxPollInterval: 400})
+    const assertion = expect(result).rejects.toThrow(TransactionTimeoutError)
+    await jest.advanceTimersByTimeAsync(2000)
+
+    await assertion
+    expect(checks.at(-1) - checks[0]).toBe(1000) //the last wait is shortened to the deadline
+})
+
+test('waitForTransaction should stop on abort', async () => {
+    const {client, checks} = createClient(['NOT_FOUND'])
+    const controller = new AbortController()
+    const result = client.waitForTransaction('hash', {pollInterval: 1000, signal: controller.signal})
+    controller.abort(new Error('Cancelled'))
+
+    await expect(result).rejects.toThrow('Cancelled')
+    expect(checks.length).toBe(1)
+})
+
+test('waitForTransaction should throw on failed transaction', async () => {
+    const {client} = createClient(['FAILED'])
+
+    await expect(client.waitForTransaction('hash')).rejects.toThrow(TransactionFailedError)
+})
+
+test('submitTransaction should map send statuses to SubmitError', async () => {
+    const cases = [
+        [{status: 'ERROR', errorResultXdr: buildResultXdr('txBadSeq')}, 'txBadSeq', /was rejected: txBadSeq/],
+        [{status: 'TRY_AGAIN_LATER'}, null, /try again later/],
+        [{status: 'DUPLICATE'}, null, /already been submitted/]
+    ]
+    for (const [sendResponse, resultCode, message] of cases) {
+        const {client, checks} = createClient(['SUCCESS'], sendResponse)
+        const error = await client.submitTransaction(buildTransaction(), []).catch(e => e)
+
+        expect(error).toBeInstanceOf(SubmitError)
+        expect(error.status).toBe(sendResponse.status)
+        expect(error.resultCode).toBe(resultCode)
+        expect(error.message).toMatch(message)
+        expect(checks.length).toBe(0)
+    }
+})
\ No newline at end of file
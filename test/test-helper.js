@@ -0,0 +1,40 @@
+const {Networks, xdr} = require('soroban-client')
+const OracleClient = require('../src/client')
+const contractConfig = require('./contract.config')
+
+const contractId = contractConfig.id
+
+/**
+ * Explicit resources for the transactions built without simulation
+ */
+const resources = {instructions: 1000000, readBytes: 1000, writeBytes: 1000, resourceFee: 10000, footprint: {readOnly: [], readWrite: []}}
+
+/**
+ * Creates a client for the test contract. The RPC server isn't available in unit tests, the network calls must be mocked
+ * @param {OracleClientOptions} [options] - Client options
+ * @returns {OracleClient}
+ */
+function createTestClient(options) {
+    return new OracleClient(Networks.FUTURENET, 'http://localhost:8000', contractId, options)
+}
+
+/**
+ * Builds base64 XDR transaction result with the specified result code, as returned in errorResultXdr
+ * @param {string} code - Result code, e.g. "txBadSeq"
+ * @param {string} [feeCharged] - Charged fee in stroops
+ * @returns {string}
+ */
+function buildResultXdr(code, feeCharged = '0') {
+    return new xdr.TransactionResult({
+        feeCharged: xdr.Int64.fromString(feeCharged),
+        result: xdr.TransactionResultResult[code](),
+        ext: new xdr.TransactionResultExt(0)
+    }).toXDR('base64')
+}
+
+module.exports = {
+    contractId,
+    resources,
+    createTestClient,
+    buildResultXdr
+}
\ No newline at end of file
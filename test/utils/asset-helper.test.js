@@ -0,0 +1,73 @@
+/*eslint-disable no-undef */
+const {Networks} = require('soroban-client')
+const {assetToString, parseAsset, assetsEqual, compareAssets} = require('../../src/utils/asset-helper')
+const AssetType = require('../../src/asset-type')
+const {AssetEncodingError} = require('../../src/errors')
+
+const contractId = 'CCS4CSIRFMC24GMM3CK2IN26MBGC7XFU3ANRSZT42Q2EQIYTQPXG6HCP'
+
+const testValues = [
+    {asset: {type: AssetType.Stellar, code: contractId}, str: `stellar:${contractId}`},
+    {asset: {type: AssetType.Stellar, code: 'XLM'}, str: 'stellar:XLM'},
+    {asset: {type: AssetType.Generic, code: 'USD'}, str: 'generic:USD'},
+    {asset: {type: AssetType.Generic, code: 'Long_Symbol_32_chars_00000000000'}, str: 'generic:Long_Symbol_32_chars_00000000000'}
+]
+
+testValues.forEach(({asset, str}) => {
+    test(`assetToString should convert asset to ${str}`, () => {
+        expect(assetToString(asset)).toBe(str)
+    })
+
+    test(`parseAsset should parse ${str}`, () => {
+        expect(parseAsset(str)).toEqual(asset)
+    })
+})
+
+test('parseAsset should accept case-insensitive type prefix', () => {
+    expect(parseAsset('Generic:USD')).toEqual({type: AssetType.Generic, code: 'USD'})
+})
+
+test('parseAsset should reject invalid strings', () => {
+    const invalid = [
+        'USD',
+        'fiat:USD',
+        'generic:',
+        'generic:US D',
+        'generic:Symbol_longer_than_32_characters_',
+        'stellar:CCS4CSIRFMC24GMM3CK2IN26MBGC7XFU3ANRSZT42Q2EQIYTQPXG6HCQ', //broken checksum
+        null
+    ]
+    for (const value of invalid)
+        expect(() => parseAsset(value)).toThrow(AssetEncodingError)
+})
+
+test('assetToString should reject invalid assets', () => {
+    expect(() => assetToString({type: 3, code: 'USD'})).toThrow(AssetEncodingError)
+    expect(() => assetToString({type: AssetType.Generic, code: 'US-D'})).toThrow(/Invalid asset generic:US-D/)
+})
+
+test('assetsEqual and compareAssets should compare type and code', () => {
+    const usd = {type: AssetType.Generic, code: 'USD'}
+    const eur = {type: AssetType.Generic, code: 'EUR'}
+    const stellar = {type: AssetType.Stellar, code: contractId}
+    expect(assetsEqual(usd, {type: AssetType.Generic, code: 'USD'})).toBe(true)
+    expect(assetsEqual(usd, eur)).toBe(false)
+    expect(assetsEqual(usd, null)).toBe(false)
+    expect(assetsEqual(null, null)).toBe(false)
+    expect(assetsEqual(undefined, undefined)).toBe(false)
+    expect([usd, stellar, eur].sort(compareAssets)).toEqual([stellar, eur, usd])
+})
+
+test('asset helpers should match classic assets with their Stellar Asset Contracts if network is provided', () => {
+    const xlmContractId = 'CAS3J7GYLGXMF6TDJBBYYSE3HQ6BBSMLNUQ34T6TZMYMW2EVH34XOWMA'
+    const xlm = {type: AssetType.Stellar, code: 'XLM'}
+    const xlmContract = {type: AssetType.Stellar, code: xlmContractId}
+
+    expect(assetToString(xlm, Networks.PUBLIC)).toBe(`stellar:${xlmContractId}`)
+    expect(assetToString(xlm)).toBe('stellar:XLM')
+    expect(assetsEqual(xlm, xlmContract, Networks.PUBLIC)).toBe(true)
+    expect(assetsEqual(xlm, xlmContract, Networks.TESTNET)).toBe(false)
+    expect(assetsEqual(xlm, xlmContract)).toBe(false)
+    expect(compareAssets(xlm, xlmContract, Networks.PUBLIC)).toBe(0)
+    expect(compareAssets(xlm, xlmContract)).not.toBe(0)
+})
\ No newline at end of file
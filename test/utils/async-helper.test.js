@@ -0,0 +1,23 @@
+/*eslint-disable no-undef */
+const {delay, mapConcurrent} = require('../../src/utils/async-helper')
+
+test('mapConcurrent should keep order and limit concurrency', async () => {
+    let active = 0
+    let maxActive = 0
+    const results = await mapConcurrent([30, 10, 20, 5, 15], 2, async (ms, i) => {
+        active++
+        maxActive = Math.max(maxActive, active)
+        await delay(ms)
+        active--
+        return i
+    })
+    expect(results).toEqual([0, 1, 2, 3, 4])
+    expect(maxActive).toBe(2)
+})
+
+test('delay should reject when aborted', async () => {
+    const controller = new AbortController()
+    const promise = delay(10000, controller.signal)
+    controller.abort()
+    await expect(promise).rejects.toThrow()
+})
\ No newline at end of file
@@ -0,0 +1,47 @@
+/*eslint-disable no-undef */
+const {Keypair, Networks} = require('soroban-client')
+const AssetType = require('../../src/asset-type')
+const {diffConfig} = require('../../src/utils/config-helper')
+const {ConfigurationError} = require('../../src/errors')
+const {getStellarAssetContractId} = require('../../src/utils/stellar-asset-helper')
+
+const network = Networks.FUTURENET
+const admin = Keypair.random().publicKey()
+const usd = {type: AssetType.Generic, code: 'USD'}
+const eur = {type: AssetType.Generic, code: 'EUR'}
+const xlm = {type: AssetType.Stellar, code: getStellarAssetContractId('XLM', network)}
+
+const current = {admin, assets: [usd, xlm], period: 300000, base: usd, decimals: 14, resolution: 300}
+
+test('diffConfig should find assets to add and period change', () => {
+    expect(diffConfig(current, {assets: ['XLM', eur, usd, eur], period: 600000}, network)).toEqual({
+        initialize: false,
+        addAssets: [eur],
+        period: {from: 300000, to: 600000},
+        conflicts: []
+    })
+    expect(diffConfig(current, {admin, period: 300000}, network)).toEqual({initialize: false, addAssets: [], period: null, conflicts: []})
+})
+
+test('diffConfig should report immutable fields and extra assets as conflicts', () => {
+    const {conflicts} = diffConfig(current, {admin: Keypair.random().publicKey(), assets: [usd], base: xlm, decimals: 7, resolution: 300}, network)
+
+    expect(conflicts.map(conflict => conflict.field)).toEqual(['decimals', 'base', 'admin', 'assets'])
+    expect(conflicts[3].current).toEqual([xlm])
+})
+
+test('diffConfig should initialize unconfigured contract', () => {
+    const unconfigured = {...current, admin: null, assets: [], period: null}
+
+    expect(diffConfig(unconfigured, {admin, assets: [usd], period: 300000}, network))
+        .toEqual({initialize: true, addAssets: [], period: null, conflicts: []})
+    expect(() => diffConfig(unconfigured, {admin}, network)).toThrow('required to configure')
+    expect(() => diffConfig(unconfigured, {admin}, network)).toThrow(ConfigurationError)
+    let error = null
+    try {
+        diffConfig(unconfigured, {admin, period: 0}, network)
+    } catch (e) {
+        error = e
+    }
+    expect(error.fields).toEqual(['assets'])
+})
\ No newline at end of file
@@ -0,0 +1,62 @@
+/*eslint-disable no-undef */
+const {toDecimalString, fromDecimalString, divRound} = require('../../src/utils/decimal-helper')
+const RoundingMode = require('../../src/rounding-mode')
+
+const testValues = [
+    {value: 0n, decimals: 14, str: '0'},
+    {value: 1n, decimals: 14, str: '0.00000000000001'},
+    {value: 123456789000000000n, decimals: 14, str: '1234.56789'},
+    {value: -123456789000000000n, decimals: 14, str: '-1234.56789'},
+    {value: -5n, decimals: 2, str: '-0.05'},
+    {value: 42n, decimals: 0, str: '42'}
+]
+
+testValues.forEach(({value, decimals, str}) => {
+    test(`toDecimalString should convert ${value} with ${decimals} decimals to ${str}`, () => {
+        expect(toDecimalString(value, decimals)).toBe(str)
+    })
+
+    test(`fromDecimalString should convert ${str} with ${decimals} decimals to ${value}`, () => {
+        expect(fromDecimalString(str, decimals)).toBe(value)
+    })
+})
+
+test('toDecimalString should keep trailing zeros if requested', () => {
+    expect(toDecimalString(150n, 2, {trimZeros: false})).toBe('1.50')
+})
+
+test('toDecimalString should round to precision', () => {
+    expect(toDecimalString(12345n, 4, {precision: 2})).toBe('1.23')
+    expect(toDecimalString(12355n, 4, {precision: 2, rounding: RoundingMode.Down})).toBe('1.23')
+    expect(toDecimalString(-12355n, 4, {precision: 2, rounding: RoundingMode.Floor})).toBe('-1.24')
+})
+
+test('fromDecimalString should throw on precision loss by default', () => {
+    expect(() => fromDecimalString('1.005', 2)).toThrow(RangeError)
+    expect(fromDecimalString('1.005', 2, RoundingMode.HalfUp)).toBe(101n)
+    expect(fromDecimalString('1.0050', 3)).toBe(1005n)
+})
+
+test('fromDecimalString should reject invalid strings', () => {
+    for (const value of ['', '.', '1e5', '1.2.3', 'abc', '--1'])
+        expect(() => fromDecimalString(value, 2)).toThrow(TypeError)
+    expect(fromDecimalString('.5', 1)).toBe(5n)
+    expect(fromDecimalString('+2.', 1)).toBe(20n)
+})
+
+test('divRound should support all rounding modes', () => {
+    const cases = [ //mode, 2.5, -2.5, 3.5
+        [RoundingMode.Down, 2n, -2n, 3n],
+        [RoundingMode.Up, 3n, -3n, 4n],
+        [RoundingMode.Floor, 2n, -3n, 3n],
+        [RoundingMode.Ceil, 3n, -2n, 4n],
+        [RoundingMode.HalfUp, 3n, -3n, 4n],
+        [RoundingMode.HalfEven, 2n, -2n, 4n]
+    ]
+    for (const [mode, positive, negative, evenTie] of cases) {
+        expect(divRound(25n, 10n, mode)).toBe(positive)
+        expect(divRound(-25n, 10n, mode)).toBe(negative)
+        expect(divRound(35n, 10n, mode)).toBe(evenTie)
+    }
+    expect(() => divRound(25n, 10n, RoundingMode.Unnecessary)).toThrow(RangeError)
+})
\ No newline at end of file
@@ -0,0 +1,50 @@
+/*eslint-disable no-undef */
+const {xdr} = require('soroban-client')
+const {getSimulationError, getTransactionError} = require('../../src/utils/error-helper')
+const {OracleContractError, SimulationError, TransactionFailedError} = require('../../src/errors')
+const ContractErrorCode = require('../../src/contract-error-code')
+
+function buildErrorEvent(code) {
+    return new xdr.DiagnosticEvent({
+        inSuccessfulContractCall: false,
+        event: new xdr.ContractEvent({
+            ext: new xdr.ExtensionPoint(0),
+            contractId: null,
+            type: xdr.ContractEventType.diagnostic(),
+            body: new xdr.ContractEventBody(0, new xdr.ContractEventV0({
+                topics: [
+                    xdr.ScVal.scvSymbol('error'),
+                    xdr.ScVal.scvError(new xdr.ScError({type: xdr.ScErrorType.sceContract(), code}))
+                ],
+                data: xdr.ScVal.scvVoid()
+            }))
+        })
+    })
+}
+
+test('getSimulationError should decode contract error code from diagnostic message', () => {
+    const error = getSimulationError({error: 'HostError: Error(Contract, #1)'})
+    expect(error).toBeInstanceOf(OracleContractError)
+    expect(error.code).toBe(ContractErrorCode.Unauthorized)
+    expect(error.reason).toBe('Unauthorized')
+    expect(error.hash).toBeNull()
+})
+
+test('getSimulationError should decode contract error code from diagnostic events', () => {
+    const events = [buildErrorEvent(xdr.ScErrorCode.scecExistingValue()).toXDR('base64')]
+    const error = getSimulationError({error: 'HostError', events})
+    expect(error).toBeInstanceOf(OracleContractError)
+    expect(error.reason).toBe('InvalidConfigVersion')
+})
+
+test('getSimulationError should return SimulationError for non-contract errors', () => {
+    const error = getSimulationError({error: 'HostError: Error(Budget, ExceededLimit)'})
+    expect(error).toBeInstanceOf(SimulationError)
+    expect(error.details).toBe('HostError: Error(Budget, ExceededLimit)')
+})
+
+test('getTransactionError should return TransactionFailedError if result meta has no contract error', () => {
+    const error = getTransactionError('abc', {status: 'FAILED', resultXdr: 'AAAA'})
+    expect(error).toBeInstanceOf(TransactionFailedError)
+    expect(error.hash).toBe('abc')
+})
\ No newline at end of file
@@ -0,0 +1,127 @@
+/*eslint-disable no-undef */
+const {xdr, Address, Keypair} = require('soroban-client')
+const AssetType = require('../../src/asset-type')
+const {buildAssetScVal, convertToI128ScVal} = require('../../src/utils/scval-helper')
+const {decodeScVal, decodeEvent} = require('../../src/utils/event-helper')
+const {contractId, createTestClient} = require('../test-helper')
+const eventsResponse = require('../fixtures/contract-events.json') //getEvents RPC response with the event layouts from event-helper
+const contractConfig = require('../contract.config')
+
+const admin = Keypair.random().publicKey()
+
+function buildPriceScVal(price, timestamp) {
+    return xdr.ScVal.scvMap([
+        new xdr.ScMapEntry({key: xdr.ScVal.scvSymbol('price'), val: convertToI128ScVal(price)}),
+        new xdr.ScMapEntry({key: xdr.ScVal.scvSymbol('timestamp'), val: xdr.ScVal.scvU64(xdr.Uint64.fromString(timestamp.toString()))})
+    ])
+}
+
+function buildEvent(index, topics, data) {
+    return {
+        ledger: String(100 + index),
+        ledgerClosedAt: '2023-09-01T00:00:00Z',
+        contractId,
+        id: `000${index}`,
+        pagingToken: `token-${index}`,
+        inSuccessfulContractCall: true,
+        topic: topics.map(topic => topic.toXDR('base64')),
+        value: {xdr: data.toXDR('base64')}
+    }
+}
+
+test('decodeScVal should convert contract types', () => {
+    expect(decodeScVal(buildAssetScVal({type: AssetType.Generic, code: 'USD'}))).toEqual({type: AssetType.Generic, code: 'USD'})
+    expect(decodeScVal(buildAssetScVal({type: AssetType.Stellar, code: contractId}))).toEqual({type: AssetType.Stellar, code: contractId})
+    expect(decodeScVal(buildPriceScVal(-5n, 1000))).toEqual({price: -5n, timestamp: 1000n})
+    expect(decodeScVal(new Address(admin).toScVal())).toBe(admin)
+    expect(decodeScVal(xdr.ScVal.scvVec([xdr.ScVal.scvU32(1), xdr.ScVal.scvSymbol('x')]))).toEqual([1, 'x'])
+})
+
+test('decodeEvent should decode topics and data', () => {
+    const event = decodeEvent(buildEvent(1, [xdr.ScVal.scvSymbol('price'), new Address(admin).toScVal()], buildPriceScVal(10n, 20)))
+    expect(event.type).toBe('price')
+    expect(event.topics).toEqual(['price', admin])
+    expect(event.data).toEqual({price: 10n, timestamp: 20n})
+    expect(event.ledger).toBe(101)
+    expect(event.pagingToken).toBe('token-1')
+})
+
+test('streamEvents should page with cursor', async () => {
+    const client = createTestClient()
+    const requests = []
+    const events = [1, 2, 3].map(i => buildEvent(i, [xdr.ScVal.scvSymbol('price')], xdr.ScVal.scvU32(i)))
+    client.server.getEvents = async request => {
+        requests.push(request)
+        const start = request.cursor ? events.findIndex(e => e.pagingToken === request.cursor) + 1 : 0
+        return {events: events.slice(start, start + request.limit)}
+    }
+    const controller = new AbortController()
+    const received = []
+    for await (const event of client.streamEvents({startLedger: 100, limit: 2, filters: [['price', '*']], pollInterval: 1, signal: controller.signal})) {
+        received.push(event.data)
+        if (received.length === 3)
+            controller.abort()
+    }
+    expect(received).toEqual([1, 2, 3])
+    expect(requests[0].startLedger).toBe(100)
+    expect(requests[0].filters[0].topics[0]).toEqual([xdr.ScVal.scvSymbol('price').toXDR('base64'), '*'])
+    expect(requests[1].cursor).toBe('token-2')
+    expect(requests[1].startLedger).toBeUndefined()
+})
+
+test('getEvents should decode the RPC response', async () => {
+    const client = createTestClient()
+    const requests = []
+    client.server.getEvents = async request => {
+        requests.push(request)
+        return eventsResponse
+    }
+    const {events, cursor} = await client.getEvents({startLedger: 1000000, filters: [['assets'], ['period'], ['price', '*']]})
+
+    expect(requests[0].filters).toEqual([{
+        type: 'contract',
+        contractIds: [contractId],
+        topics: [[xdr.ScVal.scvSymbol('assets').toXDR('base64')], [xdr.ScVal.scvSymbol('period').toXDR('base64')], [xdr.ScVal.scvSymbol('price').toXDR('base64'), '*']]
+    }])
+    expect(events.map(e => e.type)).toEqual(['assets', 'period', 'price'])
+    expect(events[0].assets).toEqual([contractConfig.assets[0], {type: AssetType.Generic, code: 'EUR'}])
+    expect(events[1].period).toBe(86400000)
+    expect(events[2].timestamp).toBe(1693526400000)
+    expect(events[2].prices).toEqual([150000000000000n, 0n])
+    expect(events[2].ledger).toBe(1000002)
+    expect(cursor).toBe(eventsResponse.events[2].pagingToken)
+})
+
+test('decodeEvent should decode price updates', () => {
+    const event = decodeEvent(buildEvent(2,
+        [xdr.ScVal.scvSymbol('price'), xdr.ScVal.scvU64(xdr.Uint64.fromString('1693526400000'))],
+        xdr.ScVal.scvVec([convertToI128ScVal(150n), convertToI128ScVal(0n), convertToI128ScVal(-(2n ** 100n))])
+    ))
+    expect(event.type).toBe('price')
+    expect(event.timestamp).toBe(1693526400000)
+    expect(event.prices).toEqual([150n, 0n, -(2n ** 100n)])
+    expect(event.ledger).toBe(102)
+})
+
+test('decodeEvent should decode added assets', () => {
+    const assets = [{type: AssetType.Generic, code: 'JPY'}, {type: AssetType.Stellar, code: contractId}]
+    const event = decodeEvent(buildEvent(3, [xdr.ScVal.scvSymbol('assets')], xdr.ScVal.scvVec(assets.map(asset => buildAssetScVal(asset)))))
+    expect(event.type).toBe('assets')
+    expect(event.assets).toEqual(assets)
+})
+
+test('decodeEvent should decode period changes', () => {
+    const event = decodeEvent(buildEvent(4, [xdr.ScVal.scvSymbol('period')], xdr.ScVal.scvU64(xdr.Uint64.fromString('86400000'))))
+    expect(event.type).toBe('period')
+    expect(event.period).toBe(86400000)
+})
+
+test('decodeEvent should fall back to the generic event for unknown topics and layouts', () => {
+    const unknown = decodeEvent(buildEvent(5, [xdr.ScVal.scvSymbol('config')], xdr.ScVal.scvU32(1)))
+    expect(unknown).toEqual(expect.objectContaining({type: 'config', topics: ['config'], data: 1}))
+
+    const unexpected = decodeEvent(buildEvent(6, [xdr.ScVal.scvSymbol('period')], xdr.ScVal.scvSymbol('x')))
+    expect(unexpected.type).toBe('period')
+    expect(unexpected.period).toBeUndefined()
+    expect(unexpected.data).toBe('x')
+})
\ No newline at end of file
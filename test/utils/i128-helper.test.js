@@ -1,5 +1,14 @@
 /*eslint-disable no-undef */
-const {i128ToHiLo, hiLoToI128} = require('../../src/utils/i128-helper')
+const {
+    i128ToHiLo,
+    hiLoToI128,
+    u128ToHiLo,
+    hiLoToU128,
+    i256ToParts,
+    partsToI256,
+    u256ToParts,
+    partsToU256
+} = require('../../src/utils/i128-helper')
 
 const testValues = [
     {
@@ -14,8 +23,8 @@ const testValues = [
     },
     {
         value: BigInt('-1'),
-        hi: '0',
-        lo: '-1'
+        hi: '-1',
+        lo: '18446744073709551615'
     },
     {
         value: BigInt('123456789012345678901234567890'),
@@ -24,8 +33,8 @@ const testValues = [
     },
     {
         value: BigInt('-123456789012345678901234567890'),
-        hi: '-6692605942',
-        lo: "-14083847773837265618"
+        hi: '-6692605943',
+        lo: '4362896299872285998'
     },
     {
         value: BigInt('170141183460469231731687303715884105727'),
@@ -50,4 +59,42 @@ testValues.forEach(({value, hi, lo}) => {
         const actualValue = hiLoToI128(BigInt(hi), BigInt(lo))
         expect(actualValue.toString()).toBe(value.toString())
     })
+})
+
+test('i128ToHiLo should throw on overflow', () => {
+    expect(() => i128ToHiLo(2n ** 127n)).toThrow(RangeError)
+    expect(() => i128ToHiLo(-(2n ** 127n) - 1n)).toThrow(RangeError)
+})
+
+test('hiLoToI128 should throw on invalid parts', () => {
+    expect(() => hiLoToI128(2n ** 63n, 0n)).toThrow(RangeError)
+    expect(() => hiLoToI128(0n, -1n)).toThrow(RangeError)
+})
+
+test('u128 conversion should round-trip max value and reject negative values', () => {
+    const {hi, lo} = u128ToHiLo(2n ** 128n - 1n)
+    expect(hi).toBe('18446744073709551615')
+    expect(lo).toBe('18446744073709551615')
+    expect(hiLoToU128(hi, lo)).toBe(2n ** 128n - 1n)
+    expect(() => u128ToHiLo(-1n)).toThrow(RangeError)
+})
+
+test('i256 conversion should round-trip signed values', () => {
+    for (const value of [0n, -1n, 2n ** 255n - 1n, -(2n ** 255n), -123456789012345678901234567890123456789n]) {
+        const {hiHi, hiLo, loHi, loLo} = i256ToParts(value)
+        expect(partsToI256(hiHi, hiLo, loHi, loLo)).toBe(value)
+    }
+    expect(i256ToParts(-1n)).toEqual({
+        hiHi: '-1',
+        hiLo: '18446744073709551615',
+        loHi: '18446744073709551615',
+        loLo: '18446744073709551615'
+    })
+    expect(() => i256ToParts(2n ** 255n)).toThrow(RangeError)
+})
+
+test('u256 conversion should round-trip max value and reject overflow', () => {
+    const {hiHi, hiLo, loHi, loLo} = u256ToParts(2n ** 256n - 1n)
+    expect(partsToU256(hiHi, hiLo, loHi, loLo)).toBe(2n ** 256n - 1n)
+    expect(() => u256ToParts(2n ** 256n)).toThrow(RangeError)
 })
\ No newline at end of file
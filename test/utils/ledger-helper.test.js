@@ -0,0 +1,23 @@
+/*eslint-disable no-undef */
+const {getLatestLedgerCloseTime} = require('../../src/utils/ledger-helper')
+const {LedgerCloseTimeError} = require('../../src/errors')
+
+test('getLatestLedgerCloseTime should read close time from the unknown transaction status', async () => {
+    const requests = []
+    const server = {
+        getTransaction: async hash => {
+            requests.push(hash)
+            return {status: 'NOT_FOUND', latestLedger: '1000', latestLedgerCloseTime: '1693526400'}
+        }
+    }
+    expect(await getLatestLedgerCloseTime(server)).toBe(1693526400000)
+    expect(requests).toEqual(['0'.repeat(64)])
+})
+
+test('getLatestLedgerCloseTime should reject responses without close time', async () => {
+    for (const latestLedgerCloseTime of [undefined, '', 'abc']) {
+        const error = await getLatestLedgerCloseTime({getTransaction: async () => ({status: 'NOT_FOUND', latestLedgerCloseTime})}).catch(e => e)
+        expect(error).toBeInstanceOf(LedgerCloseTimeError)
+        expect(error.value).toBe(latestLedgerCloseTime)
+    }
+})
\ No newline at end of file
@@ -0,0 +1,43 @@
+/*eslint-disable no-undef */
+const {fixedDivFloor, crossPrice, crossPrices, twap, crossTwap} = require('../../src/utils/price-math')
+
+const decimals = 14
+const one = 10n ** 14n
+
+function price(value, timestamp) {
+    return {price: value, timestamp: BigInt(timestamp)}
+}
+
+test('fixedDivFloor should divide fixed-point values', () => {
+    expect(fixedDivFloor(2n * one, 4n * one, decimals)).toBe(one / 2n)
+    expect(fixedDivFloor(one, 3n * one, decimals)).toBe(33333333333333n)
+    expect(fixedDivFloor(2n * one, 3n * one, decimals)).toBe(66666666666666n) //truncated
+    expect(fixedDivFloor(0n, one, decimals)).toBe(null)
+    expect(fixedDivFloor(one, -one, decimals)).toBe(null)
+})
+
+test('fixedDivFloor should take the scale from the divisor for large dividends', () => {
+    const dividend = 10n ** 30n
+    //dividend can be scaled by 10^8 only, the remaining 10^6 is taken from the divisor
+    expect(fixedDivFloor(dividend, 123456789n * one, decimals)).toBe(dividend * 10n ** 8n / (123456789n * one / 10n ** 6n))
+    expect(fixedDivFloor(dividend, 1n, decimals)).toBe(null)
+})
+
+test('crossPrice should require matching timestamps', () => {
+    expect(crossPrice(price(3n * one, 1000), price(2n * one, 1000), decimals)).toEqual(price(3n * one / 2n, 1000))
+    expect(crossPrice(price(3n * one, 1000), price(2n * one, 2000), decimals)).toBe(null)
+    expect(crossPrice(null, price(2n * one, 2000), decimals)).toBe(null)
+})
+
+test('crossPrices should skip timestamps missing in one of the series', () => {
+    const base = [price(4n * one, 3000), price(6n * one, 2000), price(8n * one, 1000)]
+    const quote = [price(2n * one, 3000), price(2n * one, 1000)]
+    expect(crossPrices(base, quote, decimals)).toEqual([price(2n * one, 3000), price(4n * one, 1000)])
+})
+
+test('twap should return truncated mean', () => {
+    expect(twap([price(1n, 1), price(2n, 2)])).toBe(1n)
+    expect(twap([price(3n, 1), price(6n, 2), price(9n, 3)])).toBe(6n)
+    expect(twap([])).toBe(null)
+    expect(crossTwap([price(4n * one, 2), price(8n * one, 1)], [price(2n * one, 2), price(2n * one, 1)], decimals)).toBe(3n * one)
+})
\ No newline at end of file
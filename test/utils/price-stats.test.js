@@ -0,0 +1,77 @@
+/*eslint-disable no-undef */
+const {
+    isqrt,
+    minPrice,
+    maxPrice,
+    medianPrice,
+    priceStddev,
+    priceChange,
+    maxDrawdown,
+    findGaps,
+    priceStats
+} = require('../../src/utils/price-stats')
+
+const decimals = 14
+const one = 10n ** 14n
+const resolution = 30000
+
+function price(value, timestamp) {
+    return {price: value, timestamp: BigInt(timestamp)}
+}
+
+function series(values) {
+    //newest first, as returned by the contract
+    return values.map((value, i) => price(value * one, (values.length - i) * resolution))
+}
+
+test('isqrt should round down', () => {
+    for (const value of [0n, 1n, 2n, 15n, 16n, 17n, 10n ** 40n - 1n, (10n ** 38n + 7n) ** 2n]) {
+        const root = isqrt(value)
+        expect(root * root <= value && (root + 1n) * (root + 1n) > value).toBe(true)
+    }
+})
+
+test('min and max should return records', () => {
+    const prices = series([3n, 1n, 5n, 2n])
+    expect(minPrice(prices)).toEqual(price(one, 3 * resolution))
+    expect(maxPrice(prices)).toEqual(price(5n * one, 2 * resolution))
+    expect(minPrice([])).toBe(null)
+})
+
+test('medianPrice should average middle records for even counts', () => {
+    expect(medianPrice(series([3n, 1n, 5n]))).toBe(3n * one)
+    expect(medianPrice([price(1n, 1), price(4n, 2)])).toBe(2n)
+    expect(medianPrice([null])).toBe(null)
+})
+
+test('priceStddev should be exact', () => {
+    expect(priceStddev(series([2n, 4n, 4n, 4n, 5n, 5n, 7n, 9n]))).toBe(2n * one)
+    expect(priceStddev(series([7n]))).toBe(0n)
+})
+
+test('priceChange and maxDrawdown should use timestamp order', () => {
+    const prices = series([9n, 6n, 12n, 10n]) //10 -> 12 -> 6 -> 9
+    expect(priceChange(prices, decimals)).toBe(-10n * one)
+    expect(maxDrawdown(prices, decimals)).toBe(50n * one)
+    expect(maxDrawdown(series([3n, 2n, 1n]), decimals)).toBe(0n)
+    expect(priceChange([price(0n, 1), price(1n, 2)], decimals)).toBe(null)
+})
+
+test('findGaps should report missing records', () => {
+    const prices = [price(one, resolution), price(one, 2 * resolution), price(one, 5 * resolution)]
+    expect(findGaps(prices, resolution)).toEqual([{from: BigInt(2 * resolution), to: BigInt(5 * resolution), missing: 2}])
+    expect(findGaps(prices.slice(0, 2), resolution)).toEqual([])
+})
+
+test('priceStats should skip missing records', () => {
+    const prices = [price(2n * one, 4 * resolution), null, price(one, resolution)]
+    const stats = priceStats(prices, {decimals, resolution})
+    expect(stats.count).toBe(2)
+    expect(stats.first).toBe(prices[2])
+    expect(stats.last).toBe(prices[0])
+    expect(stats.mean).toBe(3n * one / 2n)
+    expect(stats.change).toBe(100n * one)
+    expect(stats.gaps).toEqual([{from: BigInt(resolution), to: BigInt(4 * resolution), missing: 2}])
+    expect(priceStats(prices, {decimals}).gaps).toEqual([])
+    expect(priceStats([null], {decimals})).toBe(null)
+})
\ No newline at end of file
@@ -0,0 +1,54 @@
+/*eslint-disable no-undef */
+const {Networks} = require('soroban-client')
+const AssetType = require('../../src/asset-type')
+const {PriceUpdateError} = require('../../src/errors')
+const {getStellarAssetContractId} = require('../../src/utils/stellar-asset-helper')
+const {
+    isKeyedUpdates,
+    getUnregisteredAssets,
+    buildPriceVector,
+    validatePriceRange,
+    validateUpdateTimestamp
+} = require('../../src/utils/price-update-helper')
+
+const network = Networks.FUTURENET
+const usd = {type: AssetType.Generic, code: 'USD'}
+const eur = {type: AssetType.Generic, code: 'EUR'}
+const xlm = {type: AssetType.Stellar, code: getStellarAssetContractId('XLM', network)}
+const assets = [usd, xlm, eur]
+
+test('isKeyedUpdates should detect keyed updates', () => {
+    expect(isKeyedUpdates([1n, '1.5'])).toBe(false)
+    expect(isKeyedUpdates(new Map([[usd, 1n]]))).toBe(true)
+    expect(isKeyedUpdates([{asset: usd, price: 1n}])).toBe(true)
+})
+
+test('buildPriceVector should order prices by the registered assets', () => {
+    expect(buildPriceVector(new Map([[eur, 3n], ['XLM', 2n]]), assets, network)).toEqual([0n, 2n, 3n])
+    expect(buildPriceVector([{asset: {...usd}, price: '1.5'}], assets, network)).toEqual(['1.5', 0n, 0n])
+})
+
+test('buildPriceVector should reject unregistered and duplicate assets', () => {
+    const gbp = {type: AssetType.Generic, code: 'GBP'}
+    expect(getUnregisteredAssets([{asset: gbp, price: 1n}, {asset: usd, price: 1n}], assets, network)).toEqual([gbp])
+    expect(() => buildPriceVector([{asset: gbp, price: 1n}], assets, network)).toThrow(PriceUpdateError)
+    expect(() => buildPriceVector([{asset: usd, price: 1n}, {asset: {...usd}, price: 2n}], assets, network))
+        .toThrow('Duplicate price update for asset generic:USD')
+})
+
+test('validatePriceRange should reject values outside i128', () => {
+    expect(() => validatePriceRange([1n, 0n, null, -(2n ** 127n), 2n ** 127n - 1n])).not.toThrow()
+    expect(() => validatePriceRange([1n, 2n ** 127n], assets)).toThrow(PriceUpdateError)
+    expect(() => validatePriceRange([1.5])).toThrow(PriceUpdateError)
+    try {
+        validatePriceRange([1n, 2n ** 127n], assets)
+    } catch (e) {
+        expect(e.asset).toBe(xlm)
+    }
+})
+
+test('validateUpdateTimestamp should require aligned and newer timestamp', () => {
+    expect(() => validateUpdateTimestamp(90000, 30000, 60000)).not.toThrow()
+    expect(() => validateUpdateTimestamp(90001, 30000, 60000)).toThrow('not aligned')
+    expect(() => validateUpdateTimestamp(60000, 30000, 60000)).toThrow('not newer')
+})
\ No newline at end of file
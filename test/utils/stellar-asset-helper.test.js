@@ -0,0 +1,51 @@
+/*eslint-disable no-undef */
+const {Asset, Networks} = require('soroban-client')
+const {
+    parseClassicAsset,
+    getStellarAssetContractId,
+    registerStellarAsset,
+    findStellarAsset,
+    normalizeAsset
+} = require('../../src/utils/stellar-asset-helper')
+const AssetType = require('../../src/asset-type')
+const {AssetEncodingError} = require('../../src/errors')
+
+const usdcIssuer = 'GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN'
+
+const testValues = [
+    {asset: 'XLM', network: Networks.PUBLIC, contractId: 'CAS3J7GYLGXMF6TDJBBYYSE3HQ6BBSMLNUQ34T6TZMYMW2EVH34XOWMA'},
+    {asset: Asset.native(), network: Networks.TESTNET, contractId: 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC'},
+    {asset: `USDC:${usdcIssuer}`, network: Networks.PUBLIC, contractId: 'CCW67TSZV3SSS2HXMBQ5JFGCKJNXKZM7UQUWUZPUTHXSTZLEO7SJMI75'}
+]
+
+testValues.forEach(({asset, network, contractId}) => {
+    test(`getStellarAssetContractId should derive ${contractId}`, () => {
+        expect(getStellarAssetContractId(asset, network)).toBe(contractId)
+    })
+})
+
+test('findStellarAsset should resolve only assets registered for the network', () => {
+    const {asset, network, contractId} = testValues[2]
+    getStellarAssetContractId(asset, network)
+    expect(findStellarAsset(contractId, network)).toBeNull()
+
+    expect(registerStellarAsset(asset, network)).toBe(contractId)
+    expect(findStellarAsset(contractId, network)).toBe(asset)
+    expect(findStellarAsset(contractId, Networks.TESTNET)).toBeNull()
+    expect(findStellarAsset(contractId)).toBeNull()
+})
+
+test('parseClassicAsset should reject invalid assets', () => {
+    for (const value of ['USD', 'USD:GABC', `TOOLONGASSETCODE:${usdcIssuer}`, `USD:${usdcIssuer}:X`, 42, null])
+        expect(parseClassicAsset(value)).toBeNull()
+})
+
+test('normalizeAsset should convert classic assets and keep contract assets unchanged', () => {
+    const contractAsset = {type: AssetType.Stellar, code: testValues[0].contractId}
+    const genericAsset = {type: AssetType.Generic, code: 'USD'}
+    expect(normalizeAsset(contractAsset, Networks.PUBLIC)).toBe(contractAsset)
+    expect(normalizeAsset(genericAsset, Networks.PUBLIC)).toBe(genericAsset)
+    expect(normalizeAsset({type: AssetType.Stellar, code: `USDC:${usdcIssuer}`}, Networks.PUBLIC))
+        .toEqual({type: AssetType.Stellar, code: testValues[2].contractId})
+    expect(() => normalizeAsset('XLM')).toThrow(AssetEncodingError)
+})
\ No newline at end of file
@@ -0,0 +1,83 @@
+/*eslint-disable no-undef */
+const {Keypair, Networks, xdr, Address} = require('soroban-client')
+const {roundSimulation, buildSorobanData, transactionFingerprint} = require('../../src/utils/transaction-helper')
+const {contractId, createTestClient, resources: baseResources} = require('../test-helper')
+
+const admin = Keypair.random().publicKey()
+
+const instanceKey = xdr.LedgerKey.contractData(new xdr.LedgerKeyContractData({
+    contract: new Address(contractId).toScAddress(),
+    key: xdr.ScVal.scvLedgerKeyContractInstance(),
+    durability: xdr.ContractDataDurability.persistent(),
+    bodyType: xdr.ContractEntryBodyType.dataEntry()
+}))
+
+const resources = {...baseResources, footprint: {readOnly: [], readWrite: [instanceKey.toXDR('base64')]}}
+
+function createClient() {
+    const client = createTestClient()
+    client.server = {
+        getAccount: () => {
+            throw new Error('Account should not be loaded')
+        },
+        simulateTransaction: () => {
+            throw new Error('Transaction should not be simulated')
+        }
+    }
+    return client
+}
+
+test('explicit sequence and resources should produce identical transactions', async () => {
+    const options = {fee: 100, sequence: '12345', resources}
+    const first = await createClient().setPrice(admin, [1n, 2n], 1700000000000, options)
+    const second = await createClient().setPrice(admin, [1n, 2n], 1700000000000, options)
+
+    expect(transactionFingerprint(first)).toBe(transactionFingerprint(second))
+    expect(transactionFingerprint(first.toXDR(), Networks.FUTURENET)).toBe(transactionFingerprint(first))
+    expect(first.sequence).toBe('12346')
+    expect(first.fee).toBe('10100')
+    expect(first.operations[0].auth.length).toBe(1)
+
+    const other = await createClient().setPrice(admin, [1n, 3n], 1700000000000, options)
+    expect(transactionFingerprint(other)).not.toBe(transactionFingerprint(first))
+})
+
+test('roundSimulation should round resources and fees up', () => {
+    const simulation = {
+        results: [{auth: []}],
+        minResourceFee: '90001',
+        transactionData: buildSorobanData({...resources, instructions: 4123456, readBytes: 9001, refundableFee: 5}).toXDR('base64')
+    }
+    const rounded = roundSimulation(simulation, {fee: 10000, instructions: 1000000, bytes: 1024})
+    const data = xdr.SorobanTransactionData.fromXDR(rounded.transactionData, 'base64')
+
+    expect(rounded.minResourceFee).toBe('100000')
+    expect(data.resources().instructions()).toBe(5000000)
+    expect(data.resources().readBytes()).toBe(9216)
+    expect(data.resources().writeBytes()).toBe(1024)
+    expect(data.refundableFee().toString()).toBe('10000')
+    expect(data.resources().footprint().readWrite().length).toBe(1)
+})
+
+test('offline mode should return XDR envelope without network calls', async () => {
+    const client = createClient()
+    const envelope = await client.setPeriod(admin, 600000, {fee: 100, sequence: '1', offline: true, resources})
+    expect(typeof envelope).toBe('string')
+    expect(transactionFingerprint(envelope, Networks.FUTURENET))
+        .toBe(transactionFingerprint(await client.setPeriod(admin, 600000, {fee: 100, sequence: '1', resources})))
+
+    await expect(client.setPeriod(admin, 600000, {fee: 100, offline: true})).rejects.toThrow('Sequence is required')
+})
+
+test('prepare should simulate transaction built offline', async () => {
+    const client = createClient()
+    const envelope = await client.setPeriod(admin, 600000, {fee: 100, sequence: '1', offline: true})
+    client.server.simulateTransaction = async () => ({
+        results: [{auth: []}],
+        minResourceFee: '1234',
+        transactionData: buildSorobanData(resources).toXDR('base64')
+    })
+    const prepared = await client.prepare(envelope, {feeRounding: {fee: 1000}})
+    expect(prepared.fee).toBe('2100')
+    expect(prepared.sequence).toBe('2')
+})
\ No newline at end of file